@@ -1,13 +1,32 @@
 import express from "express";
 import axios from "axios";
 import fs from "fs";
-import { exec } from "child_process";
+import os from "os";
+import nodePath from "path";
+import crypto from "crypto";
+import http from "http";
+import https from "https";
+import dns from "dns";
+import net from "net";
+import { spawn } from "child_process";
+import { AsyncLocalStorage } from "async_hooks";
+import readline from "readline";
+import { fileURLToPath } from "url";
 import tmp from "tmp";
 import { v4 as uuidv4 } from "uuid";
+import FormData from "form-data";
 import { createClient } from "@supabase/supabase-js";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 
 const app = express();
-app.use(express.json({ limit: "10mb" }));
+// rawBody: para verificar la firma HMAC de los requests (API keys)
+app.use(express.json({ limit: "10mb", verify: (req, _res, buf) => (req.rawBody = buf) }));
 
 // ========= ENV / SUPABASE =========
 const SUPABASE_URL = process.env.SUPABASE_URL;
@@ -17,6 +36,32 @@ const SIGNED_URL_EXPIRES = Number(process.env.SIGNED_URL_EXPIRES || 60 * 60 * 12
 const supabase =
   SUPABASE_URL && SUPABASE_KEY ? createClient(SUPABASE_URL, SUPABASE_KEY) : null;
 
+// ========= ENV / STORAGE =========
+// Driver por defecto para salidas y para `source` sin driver: supabase | local | s3
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || (supabase ? "supabase" : "local");
+const PUBLIC_BASE_URL = (
+  process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`
+).replace(/\/+$/, "");
+const LOCAL_STORAGE_DIR = nodePath.resolve(
+  process.env.LOCAL_STORAGE_DIR || nodePath.join(os.tmpdir(), "video-svc-storage")
+);
+const LOCAL_BUCKET = process.env.LOCAL_BUCKET || "videos";
+const S3_BUCKET = process.env.S3_BUCKET || "videos";
+const s3 =
+  process.env.S3_ENDPOINT || process.env.S3_ACCESS_KEY_ID
+    ? new S3Client({
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        region: process.env.S3_REGION || "us-east-1",
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== "false", // MinIO necesita path-style
+        credentials: process.env.S3_ACCESS_KEY_ID
+          ? {
+              accessKeyId: process.env.S3_ACCESS_KEY_ID,
+              secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || "",
+            }
+          : undefined,
+      })
+    : null;
+
 // ========= UTIL: LOG & ERRORES =========
 function reqId() {
   return Math.random().toString(36).slice(2, 10);
@@ -31,6 +76,17 @@ function normalizeErr(e) {
   if (e.response && e.response.data) out.inner = e.response.data; // axios
   if (e.error) out.inner = e.error; // libs varias
   if (e.code) out.code = e.code;
+  if (e.name === "ProcessError") {
+    out.cmd = e.cmd;
+    out.exit_code = e.exit_code ?? null;
+    out.signal = e.signal ?? null;
+    out.stderr_tail = e.stderr_tail ?? null;
+  }
+  if (e.name === "SourceError") {
+    for (const k of ["http_status", "host", "size_bytes", "content_type", "timeout"]) {
+      if (e[k] != null) out[k] = e[k];
+    }
+  }
   return out;
 }
 function log(...args) {
@@ -53,648 +109,5978 @@ app.use((req, _res, next) => {
   next();
 });
 
-// ========= SHELL =========
-function execAsync(cmd, maxBuffer = 1024 * 1024 * 300) {
+// ========= PROCESOS (ffmpeg / ffprobe) =========
+// Sin shell: siempre spawn con array de argumentos. Cada comando tiene timeout de reloj y
+// se mata si se aborta el request/job en curso; el AbortSignal viaja en runContext
+// (AsyncLocalStorage) para no tener que pasarlo por cada helper.
+const FFMPEG_TIMEOUT_MS = Number(process.env.FFMPEG_TIMEOUT_MS || 30 * 60 * 1000); // 30 min
+const FFPROBE_TIMEOUT_MS = Number(process.env.FFPROBE_TIMEOUT_MS || 60 * 1000);
+const PROCESS_MAX_OUTPUT = 1024 * 1024 * 300;
+const PROCESS_KILL_GRACE_MS = 3000;
+const STDERR_TAIL_CHARS = 8000;
+const runContext = new AsyncLocalStorage();
+// Flags comunes de los ffmpeg que escriben archivo
+const FFMPEG_COMMON = ["-hide_banner", "-loglevel", "info", "-y", "-nostdin", "-threads", "1"];
+
+// Error estructurado: code PROCESS_FAILED | PROCESS_TIMEOUT | PROCESS_CANCELLED | PROCESS_SPAWN_FAILED
+function processError(code, message, fields = {}) {
+  const e = new Error(message);
+  e.name = "ProcessError";
+  e.code = code;
+  Object.assign(e, fields);
+  return e;
+}
+
+// onProgress(seconds): recibe out_time de `ffmpeg -progress pipe:1` (ver runFfmpeg)
+function runProcess(bin, args, { timeoutMs, signal = runContext.getStore()?.signal, onProgress } = {}) {
+  const cmd = [bin, ...args].join(" ");
   return new Promise((resolve, reject) => {
-    exec(cmd, { maxBuffer }, (err, stdout, stderr) => {
-      if (err) {
-        return reject(
-          new Error(
-            JSON.stringify({
-              cmd,
-              stderr: String(stderr || "").slice(0, 8000),
-              stdout: String(stdout || "").slice(0, 8000),
-            })
-          )
-        );
+    if (signal?.aborted) {
+      return reject(processError("PROCESS_CANCELLED", `${bin} cancelled before start`, { cmd }));
+    }
+    const child = spawn(bin, args.map(String), { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+    let reason = null;
+    let graceTimer = null;
+
+    const kill = (why) => {
+      if (reason) return;
+      reason = why;
+      child.kill("SIGTERM");
+      graceTimer = setTimeout(() => child.kill("SIGKILL"), PROCESS_KILL_GRACE_MS);
+    };
+    const timer = setTimeout(() => kill("timeout"), timeoutMs);
+    const onAbort = () => kill("cancelled");
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    let pending = "";
+    child.stdout.on("data", (d) => {
+      if (onProgress) {
+        // Bloques key=value; out_time_us (y out_time_ms, también en µs) = posición de salida
+        const lines = (pending + d).split("\n");
+        pending = lines.pop();
+        for (const line of lines) {
+          const m = /^out_time_(?:us|ms)=(\d+)/.exec(line);
+          if (m) onProgress(Number(m[1]) / 1e6);
+        }
+        return;
       }
-      resolve({ stdout, stderr });
+      stdout += d;
+      if (stdout.length > PROCESS_MAX_OUTPUT) kill("output");
     });
+    child.stderr.on("data", (d) => {
+      stderr += d;
+      // stderr puede ser enorme (silencedetect, showinfo): se guarda acotado
+      if (stderr.length > PROCESS_MAX_OUTPUT) stderr = stderr.slice(-PROCESS_MAX_OUTPUT / 2);
+    });
+
+    const done = () => {
+      clearTimeout(timer);
+      clearTimeout(graceTimer);
+      signal?.removeEventListener("abort", onAbort);
+    };
+    child.on("error", (err) => {
+      done();
+      reject(processError("PROCESS_SPAWN_FAILED", `${bin}: ${err.message}`, { cmd }));
+    });
+    let settled = false;
+    const finish = (code, sig) => {
+      if (settled) return;
+      settled = true;
+      done();
+      if (code === 0 && !reason) return resolve({ stdout, stderr });
+      const fields = {
+        cmd,
+        exit_code: code,
+        signal: sig,
+        stderr_tail: stderr.slice(-STDERR_TAIL_CHARS),
+      };
+      if (reason === "timeout") {
+        return reject(processError("PROCESS_TIMEOUT", `${bin} timed out after ${timeoutMs} ms`, fields));
+      }
+      if (reason === "cancelled") {
+        return reject(processError("PROCESS_CANCELLED", `${bin} cancelled`, fields));
+      }
+      if (reason === "output") {
+        return reject(processError("PROCESS_FAILED", `${bin} output exceeded ${PROCESS_MAX_OUTPUT} bytes`, fields));
+      }
+      reject(processError("PROCESS_FAILED", `${bin} exited with code ${code}`, fields));
+    };
+    child.on("close", finish);
+    // Matado por timeout/cancelación: no esperar a que se cierren pipes heredados por nietos
+    child.on("exit", (code, sig) => reason && finish(code, sig));
   });
 }
 
-// ========= SUPABASE UPLOAD =========
-async function uploadToSupabase(localPath, destKey, contentType) {
-  if (!supabase) throw new Error("Supabase not configured");
-  const fileBuffer = fs.readFileSync(localPath);
+// Un fallo "normal" de ffmpeg admite reintento/fallback; timeout o cancelación no
+function isRetryableProcessError(e) {
+  return e?.code === "PROCESS_FAILED";
+}
 
-  const { error: upErr } = await supabase.storage
-    .from(SUPABASE_BUCKET)
-    .upload(destKey, fileBuffer, {
-      contentType: contentType || "application/octet-stream",
-      upsert: true,
-    });
-  if (upErr) throw upErr;
+function runFfmpeg(args, opts = {}) {
+  const progressArgs = opts.onProgress ? ["-progress", "pipe:1", "-nostats"] : [];
+  return runProcess("ffmpeg", [...progressArgs, ...args], { timeoutMs: FFMPEG_TIMEOUT_MS, ...opts });
+}
 
-  // 1) Intento URL pública
-  const { data: pub } = supabase.storage.from(SUPABASE_BUCKET).getPublicUrl(destKey);
-  if (pub?.publicUrl && !pub.publicUrl.includes("null")) return pub.publicUrl;
+// onProgress para runFfmpeg: mapea out_time/duration al rango [from, to] del progreso global
+function ffmpegProgress(progress, stage, from, to, duration) {
+  let last = -1;
+  return (t) => {
+    const frac = duration > 0 ? Math.max(0, Math.min(1, t / duration)) : 0;
+    const stagePercent = Math.round(frac * 100);
+    if (stagePercent === last) return;
+    last = stagePercent;
+    progress(stage, from + (to - from) * frac, {
+      stage_percent: stagePercent,
+      out_time: Number(t.toFixed(2)),
+      duration: Number(duration.toFixed(2)),
+    });
+  };
+}
 
-  // 2) URL firmada
-  const { data: signed, error: signErr } = await supabase.storage
-    .from(SUPABASE_BUCKET)
-    .createSignedUrl(destKey, SIGNED_URL_EXPIRES);
-  if (signErr) throw signErr;
-  return signed.signedUrl;
+function runFfprobe(args, opts = {}) {
+  return runProcess("ffprobe", args, { timeoutMs: FFPROBE_TIMEOUT_MS, ...opts });
 }
 
-// ========= DOWNLOADS =========
-async function downloadHttpToTemp(url, postfix = ".mp4") {
-  const f = tmp.fileSync({ postfix });
-  const writer = fs.createWriteStream(f.name);
-  const safeUrl = url.replace(/\s/g, "%20");
-  const resp = await axios.get(safeUrl, { responseType: "stream" });
-  await new Promise((ok, bad) => {
-    resp.data.pipe(writer).on("finish", ok).on("error", bad);
-  });
-  return f;
+// ========= STORAGE (drivers: supabase | local | s3) =========
+// Cada driver expone:
+//  - upload(localPath, destKey, contentType, bucket) => URL (pública o firmada)
+//  - download(bucket, path, postfix) => archivo tmp ({ name, removeCallback })
+//  - stat(bucket, path) => { etag, last_modified, size } (validadores para la caché)
+function notFound(code, driver, bucket, path) {
+  const e = new Error(`File not found in ${driver}: bucket=${bucket}, path=${path}`);
+  e.code = code;
+  return e;
 }
 
-async function downloadSupabaseToTemp(bucket, path, postfix = ".mp4") {
-  if (!supabase) throw new Error("Supabase not configured");
+const supabaseDriver = {
+  name: "supabase",
+  defaultBucket: SUPABASE_BUCKET,
+  configured: () => !!supabase,
+
+  async upload(localPath, destKey, contentType, bucket = SUPABASE_BUCKET) {
+    if (!supabase) throw new Error("Supabase not configured");
+    const fileBuffer = fs.readFileSync(localPath);
+
+    const { error: upErr } = await supabase.storage
+      .from(bucket)
+      .upload(destKey, fileBuffer, {
+        contentType: contentType || "application/octet-stream",
+        upsert: true,
+      });
+    if (upErr) throw upErr;
+
+    // 1) Intento URL pública
+    const { data: pub } = supabase.storage.from(bucket).getPublicUrl(destKey);
+    if (pub?.publicUrl && !pub.publicUrl.includes("null")) return pub.publicUrl;
+
+    // 2) URL firmada
+    const { data: signed, error: signErr } = await supabase.storage
+      .from(bucket)
+      .createSignedUrl(destKey, SIGNED_URL_EXPIRES);
+    if (signErr) throw signErr;
+    return signed.signedUrl;
+  },
+
+  async signedUrl(bucket, path, expiresIn) {
+    if (!supabase) throw new Error("Supabase not configured");
+    const { data, error } = await supabase.storage.from(bucket).createSignedUrl(path, expiresIn);
+    if (error) throw error;
+    return data.signedUrl;
+  },
+
+  async stat(bucket, path) {
+    if (!supabase) throw new Error("Supabase not configured");
 
-  const dir = path.split("/").slice(0, -1).join("/") || "";
-  const file = path.split("/").pop();
-  const { data: meta, error: statErr } = await supabase.storage
-    .from(bucket)
-    .list(dir, { search: file });
-  if (statErr) throw statErr;
-  const found = Array.isArray(meta) && meta.some((x) => x.name === file);
-  if (!found) {
-    const e = new Error(`File not found in Supabase: bucket=${bucket}, path=${path}`);
-    e.code = "SB_FILE_NOT_FOUND";
+    const dir = path.split("/").slice(0, -1).join("/") || "";
+    const file = path.split("/").pop();
+    const { data: meta, error: statErr } = await supabase.storage
+      .from(bucket)
+      .list(dir, { search: file });
+    if (statErr) throw statErr;
+    const found = Array.isArray(meta) ? meta.find((x) => x.name === file) : null;
+    if (!found) throw notFound("SB_FILE_NOT_FOUND", "Supabase", bucket, path);
+    return {
+      etag: found.metadata?.eTag || null,
+      last_modified: found.metadata?.lastModified || found.updated_at || null,
+      size: found.metadata?.size ?? null,
+    };
+  },
+
+  async download(bucket, path, postfix = ".mp4") {
+    await supabaseDriver.stat(bucket, path);
+
+    const { data, error } = await supabase.storage.from(bucket).download(path);
+    if (error) throw error;
+    const f = tmp.fileSync({ postfix });
+    const arrBuf = await data.arrayBuffer();
+    fs.writeFileSync(f.name, Buffer.from(arrBuf));
+    reportDownload(arrBuf.byteLength, arrBuf.byteLength);
+    return f;
+  },
+};
+
+// Disco local; los archivos se sirven desde la propia app en /files/<bucket>/<key>
+function localFilePath(bucket, key) {
+  const full = nodePath.resolve(LOCAL_STORAGE_DIR, String(bucket), String(key));
+  if (!full.startsWith(LOCAL_STORAGE_DIR + nodePath.sep)) {
+    const e = new Error(`Invalid local storage path: bucket=${bucket}, path=${key}`);
+    e.code = "LOCAL_INVALID_PATH";
     throw e;
   }
+  return full;
+}
 
-  const { data, error } = await supabase.storage.from(bucket).download(path);
-  if (error) throw error;
-  const f = tmp.fileSync({ postfix });
-  const arrBuf = await data.arrayBuffer();
-  fs.writeFileSync(f.name, Buffer.from(arrBuf));
-  return f;
+const localDriver = {
+  name: "local",
+  defaultBucket: LOCAL_BUCKET,
+  configured: () => true,
+
+  async upload(localPath, destKey, _contentType, bucket = LOCAL_BUCKET) {
+    const dest = localFilePath(bucket, destKey);
+    fs.mkdirSync(nodePath.dirname(dest), { recursive: true });
+    fs.copyFileSync(localPath, dest);
+    const urlPath = [bucket, ...String(destKey).split("/")].map(encodeURIComponent).join("/");
+    return `${PUBLIC_BASE_URL}/files/${urlPath}`;
+  },
+
+  async stat(bucket, path) {
+    const src = localFilePath(bucket, path);
+    if (!fs.existsSync(src)) throw notFound("LOCAL_FILE_NOT_FOUND", "local storage", bucket, path);
+    const st = fs.statSync(src);
+    return {
+      etag: `${st.size}-${Math.floor(st.mtimeMs)}`,
+      last_modified: st.mtime.toUTCString(),
+      size: st.size,
+    };
+  },
+
+  async download(bucket, path, postfix = ".mp4") {
+    const src = localFilePath(bucket, path);
+    if (!fs.existsSync(src)) throw notFound("LOCAL_FILE_NOT_FOUND", "local storage", bucket, path);
+    const f = tmp.fileSync({ postfix });
+    fs.copyFileSync(src, f.name);
+    const { size } = fs.statSync(f.name);
+    reportDownload(size, size);
+    return f;
+  },
+};
+
+// S3-compatible (AWS, MinIO…); devuelve URLs GET prefirmadas
+const s3Driver = {
+  name: "s3",
+  defaultBucket: S3_BUCKET,
+  configured: () => !!s3,
+
+  async upload(localPath, destKey, contentType, bucket = S3_BUCKET) {
+    if (!s3) throw new Error("S3 not configured");
+    await s3.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: destKey,
+        Body: fs.createReadStream(localPath),
+        ContentLength: fs.statSync(localPath).size,
+        ContentType: contentType || "application/octet-stream",
+      })
+    );
+    // S3 limita las URLs prefirmadas a 7 días
+    const expiresIn = Math.min(SIGNED_URL_EXPIRES, 60 * 60 * 24 * 7);
+    return getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: destKey }), { expiresIn });
+  },
+
+  async signedUrl(bucket, path, expiresIn) {
+    if (!s3) throw new Error("S3 not configured");
+    return getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: path }), { expiresIn });
+  },
+
+  async stat(bucket, path) {
+    if (!s3) throw new Error("S3 not configured");
+    try {
+      const head = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: path }));
+      return {
+        etag: head.ETag || null,
+        last_modified: head.LastModified ? head.LastModified.toUTCString() : null,
+        size: head.ContentLength ?? null,
+      };
+    } catch (e) {
+      if (e?.name === "NotFound" || e?.$metadata?.httpStatusCode === 404) {
+        throw notFound("S3_FILE_NOT_FOUND", "S3", bucket, path);
+      }
+      throw e;
+    }
+  },
+
+  async download(bucket, path, postfix = ".mp4") {
+    if (!s3) throw new Error("S3 not configured");
+    let obj;
+    try {
+      obj = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: path }));
+    } catch (e) {
+      if (e?.name === "NoSuchKey" || e?.$metadata?.httpStatusCode === 404) {
+        throw notFound("S3_FILE_NOT_FOUND", "S3", bucket, path);
+      }
+      throw e;
+    }
+    const f = tmp.fileSync({ postfix });
+    const writer = fs.createWriteStream(f.name);
+    trackDownload(obj.Body, obj.ContentLength || null);
+    await new Promise((ok, bad) => {
+      obj.Body.on("error", bad).pipe(writer).on("finish", ok).on("error", bad);
+    });
+    return f;
+  },
+};
+
+const storageDrivers = { supabase: supabaseDriver, local: localDriver, s3: s3Driver };
+
+function getStorageDriver(name = STORAGE_DRIVER) {
+  const driver = storageDrivers[name];
+  if (!driver) {
+    const e = new Error(`Unknown storage driver: ${name}`);
+    e.code = "STORAGE_UNKNOWN_DRIVER";
+    throw e;
+  }
+  return driver;
 }
 
 /**
- * Descarga universal:
- *  - Si llega { source: { bucket, path } } => usa SDK (mismo proyecto).
- *  - Si llega video_url (firmada o pública) => SIEMPRE descarga por HTTP (NO SDK).
+ * Ubicación en storage a partir de `source`:
+ *  - "s3://bucket/path", "local://bucket/path", "supabase://bucket/path"
+ *  - { driver?, bucket, path } (sin driver => STORAGE_DRIVER)
+ * Devuelve { driver, bucket, path } o null si no es una ubicación válida.
  */
-async function downloadToTempSmart({ video_url, source }, postfix = ".mp4") {
-  if (source?.bucket && source?.path) {
-    return downloadSupabaseToTemp(source.bucket, source.path, postfix);
+function parseSource(source) {
+  if (typeof source === "string") {
+    const m = /^([a-z0-9]+):\/\/([^/]+)\/(.+)$/i.exec(source.trim());
+    if (!m || !storageDrivers[m[1].toLowerCase()]) return null;
+    return { driver: m[1].toLowerCase(), bucket: m[2], path: m[3] };
   }
-  if (video_url) {
-    return downloadHttpToTemp(video_url, postfix);
+  if (source?.bucket && source?.path) {
+    const driver = source.driver ? String(source.driver).toLowerCase() : STORAGE_DRIVER;
+    if (!storageDrivers[driver]) return null;
+    return { driver, bucket: source.bucket, path: source.path };
   }
-  throw new Error("Provide either { video_url } or { source: { bucket, path } }");
+  return null;
 }
 
-// ========= HELPERS AUDIO =========
-async function hasAudioStream(filePath) {
-  try {
-    const { stdout, stderr } = await execAsync(
-      `ffprobe -v error -select_streams a -show_entries stream=index -of csv=p=0 "${filePath}"`
-    );
-    const out = `${stdout}\n${stderr}`.trim();
-    return out.length > 0;
-  } catch {
-    return false;
-  }
+/**
+ * Sube un archivo local al storage de salida.
+ * `target` = { driver?, bucket? } (campo `storage` del body); por defecto STORAGE_DRIVER.
+ */
+async function uploadToStorage(localPath, destKey, contentType, target = {}) {
+  const driver = getStorageDriver(target?.driver || STORAGE_DRIVER);
+  return driver.upload(localPath, destKey, contentType, target?.bucket || driver.defaultBucket);
 }
 
-// Duración (segundos) con ffprobe
-async function getDurationSeconds(filePath) {
-  const { stdout } = await execAsync(
-    `ffprobe -v error -show_entries format=duration -of default=nw=1:nk=1 "${filePath}"`
-  );
-  const v = parseFloat(String(stdout).trim());
-  if (!isFinite(v) || v <= 0) throw new Error("Could not probe duration");
-  return v;
-}
+// ========= DOWNLOADS =========
+// Descargas HTTP de fuentes: sólo http(s), sin IPs privadas/link-local (también tras DNS y
+// redirects), allow-list de hosts opcional, tope de bytes, content-type + magic bytes,
+// timeouts de conexión/inactividad y reintentos que reanudan con Range.
+const SOURCE_MAX_BYTES = Number(process.env.SOURCE_MAX_MB || 4096) * 1024 * 1024;
+const SOURCE_HOST_ALLOWLIST = (process.env.SOURCE_HOST_ALLOWLIST || "")
+  .split(",")
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean); // "cdn.example.com" o "*.example.com"
+const SOURCE_ALLOW_PRIVATE = process.env.SOURCE_ALLOW_PRIVATE === "true"; // sólo desarrollo
+const SOURCE_CONNECT_TIMEOUT_MS = Number(process.env.SOURCE_CONNECT_TIMEOUT_MS || 10000);
+const SOURCE_IDLE_TIMEOUT_MS = Number(process.env.SOURCE_IDLE_TIMEOUT_MS || 30000);
+const SOURCE_RETRIES = [1000, 3000, 10000]; // espera antes de cada reintento (ms)
+const SOURCE_MAX_REDIRECTS = 5;
 
-// Listar streams de audio (índice global, idioma, etc.)
-async function ffprobeAudioStreams(filePath) {
-  const { stdout } = await execAsync(
-    `ffprobe -v error -show_streams -select_streams a -of json "${filePath}"`
-  );
-  const json = JSON.parse(stdout || "{}");
-  const streams = (json.streams || []).map((s, idx) => ({
-    index: typeof s.index === "number" ? s.index : idx, // índice GLOBAL
-    codec_name: s.codec_name || null,
-    channels: s.channels || null,
-    sample_rate: s.sample_rate ? Number(s.sample_rate) : null,
-    bit_rate: s.bit_rate ? Number(s.bit_rate) : null,
-    duration: s.duration ? Number(s.duration) : null,
-    tags: s.tags || {},
-    language:
-      (s.tags?.language || s.tags?.LANGUAGE || s.tags?.Language || "").toLowerCase() || null,
-    title: s.tags?.title || null,
-  }));
-  return streams;
-}
+const OCTET_STREAM = /^(application|binary)\/octet-stream$/;
+// Qué se acepta según lo que se descarga (video/audio de origen, logos, subtítulos)
+const DOWNLOAD_KINDS = {
+  media: {
+    maxBytes: SOURCE_MAX_BYTES,
+    types: [/^video\//, /^audio\//, /^application\/(mp4|x-matroska|ogg|mxf)$/, OCTET_STREAM],
+    magic: isMediaMagic,
+  },
+  image: {
+    maxBytes: 20 * 1024 * 1024,
+    types: [/^image\/(png|jpeg|gif|webp)$/, OCTET_STREAM],
+    magic: isImageMagic,
+  },
+  text: {
+    maxBytes: 5 * 1024 * 1024,
+    types: [/^text\//, /^application\/(x-subrip|json)$/, OCTET_STREAM],
+    magic: null,
+  },
+};
 
-// Escoger mejor pista: prioriza español; si no, la más larga
-function selectBestAudioMap(streams) {
-  if (!streams.length) return 0;
-  const isSpa = (l) => typeof l === "string" && /^(spa|es|esl|es\-.*)$/.test(l.toLowerCase());
-  const spa = streams.find((s) => isSpa(s.language) || /spanish/i.test(s.title || ""));
-  if (spa) return spa.index;
-  const withDur = streams.filter((s) => typeof s.duration === "number" && s.duration > 0);
-  if (withDur.length) {
-    return withDur.sort((a, b) => (b.duration || 0) - (a.duration || 0))[0].index;
-  }
-  return streams[0].index;
+// Códigos: SOURCE_URL_INVALID | SOURCE_HOST_NOT_ALLOWED | SOURCE_PRIVATE_ADDRESS |
+// SOURCE_TOO_LARGE | SOURCE_BAD_CONTENT_TYPE | SOURCE_BAD_MAGIC | SOURCE_HTTP_ERROR |
+// SOURCE_TIMEOUT | SOURCE_NETWORK_ERROR | SOURCE_NOT_SEEKABLE (input remoto de /cut)
+function sourceError(code, message, fields = {}) {
+  const e = new Error(message);
+  e.name = "SourceError";
+  e.code = code;
+  Object.assign(e, fields);
+  return e;
 }
 
-// Extraer a WAV PCM 16k mono (estable para chunking/ASR)
-// IMPORTANTE: mapeo por índice GLOBAL "0:<index>"
-async function extractCleanWav(srcVideoPath, mapIndex) {
-  const id = uuidv4();
-  const outPath = `/tmp/audio_${id}.wav`;
-  const common = `-hide_banner -loglevel info -y -nostdin -threads 1`;
-  const cmd = `ffmpeg ${common} -i "${srcVideoPath}" -map 0:${mapIndex} -vn -ac 1 -ar 16000 -c:a pcm_s16le "${outPath}"`;
-  await execAsync(cmd);
-  return outPath;
+// Rangos que nunca se descargan: loopback, privadas, link-local (metadata cloud), CGNAT, multicast…
+const PRIVATE_RANGES = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  PRIVATE_RANGES.addSubnet(addr, prefix, "ipv4");
+}
+for (const [addr, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_RANGES.addSubnet(addr, prefix, "ipv6");
 }
 
-// Segmentar WAV por duración fija, copia sin pérdidas (PCM)
-async function segmentPcmWav(wavPath, segSeconds) {
-  const dir = tmp.dirSync({ unsafeCleanup: true });
-  const segStem = `${dir.name}/seg_%03d.wav`;
-  const common = `-hide_banner -loglevel info -y -nostdin -threads 1`;
-  // Para WAV/PCM, -c copy es seguro (sin re-codificar ni introducir artefactos)
-  const cmd = `ffmpeg ${common} -i "${wavPath}" -f segment -segment_time ${segSeconds} -c copy -reset_timestamps 1 "${segStem}"`;
-  await execAsync(cmd);
-  const files = fs
-    .readdirSync(dir.name)
-    .filter((f) => f.startsWith("seg_") && f.endsWith(".wav"))
-    .sort();
-  return { dir, files };
+function isPrivateAddress(ip) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  const addr = mapped ? mapped[1] : ip;
+  return PRIVATE_RANGES.check(addr, net.isIPv4(addr) ? "ipv4" : "ipv6");
 }
 
-// ========= ENDPOINTS =========
-app.get("/", (_req, res) => res.send("video-svc up"));
-app.post("/echo", (req, res) => res.json({ ok: true, echo: req.body || null }));
+function hostAllowed(host, allowlist = SOURCE_HOST_ALLOWLIST) {
+  if (!allowlist.length) return true;
+  return allowlist.some((p) => (p.startsWith("*.") ? host.endsWith(p.slice(1)) : host === p));
+}
 
-// --- EXTRAER AUDIO (WAV 16k/mono estable, con chunking por tamaño) ---
-app.post("/extract-audio", async (req, res) => {
-  const reqInfo = { where: "extract-audio", reqId: req._id };
+// Valida esquema, allow-list e IP literal (las IPs literales no pasan por DNS).
+// `allowlist`: la de fuentes por defecto; los callbacks usan CALLBACK_HOST_ALLOWLIST.
+function checkSourceUrl(rawUrl, allowlist = SOURCE_HOST_ALLOWLIST) {
+  let u;
   try {
-    logReq(req, reqInfo);
-    const {
-      video_url,
-      source,
-      target_mb = 21,         // objetivo por archivo (único o por chunk)
-      min_chunk_seconds = 10, // piso de duración por chunk
-      overlap_seconds = 0     // reservado (no se usa en WAV segment)
-    } = req.body || {};
-    if (!video_url && !source) {
-      return res
-        .status(400)
-        .json({ ok: false, ...reqInfo, error: "video_url OR source{bucket,path} required" });
-    }
-
-    // Descarga del video de origen
-    const tmpVid = await downloadToTempSmart({ video_url, source }, ".mp4");
+    u = new URL(rawUrl);
+  } catch {
+    throw sourceError("SOURCE_URL_INVALID", `Invalid URL: ${rawUrl}`);
+  }
+  if (u.protocol !== "http:" && u.protocol !== "https:") {
+    throw sourceError("SOURCE_URL_INVALID", `Only http(s) URLs are allowed: ${u.protocol}`);
+  }
+  const host = u.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (!hostAllowed(host, allowlist)) {
+    throw sourceError("SOURCE_HOST_NOT_ALLOWED", `Host not in the host allow-list: ${host}`, { host });
+  }
+  if (net.isIP(host) && !SOURCE_ALLOW_PRIVATE && isPrivateAddress(host)) {
+    throw sourceError("SOURCE_PRIVATE_ADDRESS", `Private/reserved address not allowed: ${host}`, { host });
+  }
+  return u;
+}
 
-    // Verificar pista de audio
-    const hasAudio = await hasAudioStream(tmpVid.name);
-    if (!hasAudio) {
-      tmpVid.removeCallback?.();
-      return res.json({
-        ok: true,
-        ...reqInfo,
-        note: "El archivo no contiene pista de audio.",
-        audio_url: null,
-      });
+// lookup de los agentes: se filtra lo que resuelve el DNS (evita DNS rebinding)
+function safeLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const ok = SOURCE_ALLOW_PRIVATE ? addresses : addresses.filter((a) => !isPrivateAddress(a.address));
+    if (!ok.length) {
+      return callback(
+        sourceError("SOURCE_PRIVATE_ADDRESS", `${hostname} resolves to a private/reserved address`, {
+          host: hostname,
+        })
+      );
     }
+    if (options.all) return callback(null, ok);
+    callback(null, ok[0].address, ok[0].family);
+  });
+}
+const sourceHttpAgent = new http.Agent({ lookup: safeLookup });
+const sourceHttpsAgent = new https.Agent({ lookup: safeLookup });
 
-    // Elegir MEJOR pista (español si hay; si no, la más larga)
-    const streams = await ffprobeAudioStreams(tmpVid.name);
-    const bestIdx = selectBestAudioMap(streams);
+function isMediaMagic(b) {
+  const ascii = (start, end) => b.subarray(start, end).toString("latin1");
+  return (
+    ["ftyp", "moov", "mdat", "free", "wide", "skip", "pnot"].includes(ascii(4, 8)) || // MP4/MOV/M4A/3GP
+    b.readUInt32BE(0) === 0x1a45dfa3 || // Matroska/WebM
+    ascii(0, 4) === "RIFF" || // AVI/WAV
+    ascii(0, 3) === "FLV" ||
+    ascii(0, 4) === "OggS" ||
+    ascii(0, 4) === "fLaC" ||
+    ascii(0, 3) === "ID3" ||
+    (b[0] === 0xff && (b[1] & 0xe0) === 0xe0) || // MP3/AAC ADTS
+    b[0] === 0x47 || // MPEG-TS
+    b.readUInt32BE(0) === 0x000001ba || // MPEG-PS
+    b.readUInt32BE(0) === 0x3026b275 // ASF/WMV
+  );
+}
 
-    // Extraer a WAV 16 kHz mono (pcm_s16le) — evita artefactos y loops del ASR
-    const wavPath = await extractCleanWav(tmpVid.name, bestIdx);
+function isImageMagic(b) {
+  const ascii = (start, end) => b.subarray(start, end).toString("latin1");
+  return (
+    ascii(1, 4) === "PNG" ||
+    (b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff) ||
+    ascii(0, 3) === "GIF" ||
+    (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP")
+  );
+}
 
-    // Tamaño objetivo (por archivo)
-    const targetBytes = Math.max(1, Number(target_mb) || 24) * 1024 * 1024;
+// Reporta bytes descargados al progreso del request en curso (runContext), como mucho 2/s
+const DOWNLOAD_PROGRESS_MS = 500;
+function reportDownload(bytes, total) {
+  const progress = runContext.getStore()?.progress;
+  if (!progress) return;
+  progress("downloading", undefined, {
+    bytes,
+    total_bytes: total || null,
+    stage_percent: total ? Math.min(100, Math.round((100 * bytes) / total)) : null,
+  });
+}
 
-    // Si cabe en un solo archivo => subir y salir
-    const oneSize = fs.statSync(wavPath).size;
-    const duration = await getDurationSeconds(wavPath); // segundos
-    if (oneSize <= targetBytes) {
-      const id = uuidv4();
-      const url = await uploadToSupabase(wavPath, `audio/${id}_16k.wav`, "audio/wav");
+function trackDownload(stream, total, offset = 0) {
+  let bytes = offset;
+  let lastAt = 0;
+  stream.on("data", (chunk) => {
+    bytes += chunk.length;
+    const now = Date.now();
+    if (now - lastAt >= DOWNLOAD_PROGRESS_MS) {
+      lastAt = now;
+      reportDownload(bytes, total);
+    }
+  });
+  stream.on("end", () => reportDownload(bytes, total));
+  return stream;
+}
 
-      fs.existsSync(wavPath) && fs.unlinkSync(wavPath);
-      tmpVid.removeCallback?.();
+// Fallo que vale la pena reintentar (red, timeout, 5xx/408/429, descarga incompleta)
+function isRetryableSourceError(e) {
+  if (e.code === "SOURCE_HTTP_ERROR") return [408, 429].includes(e.http_status) || e.http_status >= 500;
+  return e.code === "SOURCE_TIMEOUT" || e.code === "SOURCE_NETWORK_ERROR";
+}
 
-      return res.json({
-        ok: true,
-        ...reqInfo,
-        chunked: false,
-        audio_url: url,
-        format: "wav",
-        codec: "pcm_s16le",
-        sample_rate: 16000,
-        duration_seconds: Math.round(duration),
-        target_mb: Number(target_mb) || 24,
-        size_bytes: oneSize,
-        audio_stream_index: bestIdx
-      });
-    }
+// Un intento: GET (con Range si hay bytes previos) escribiendo al final de `file`
+async function downloadAttempt(url, file, state, spec, headers) {
+  const runSignal = runContext.getStore()?.signal;
+  const attempt = new AbortController();
+  let timedOut = null;
+  const timeoutAbort = (kind) => {
+    timedOut = kind;
+    attempt.abort();
+  };
+  const connectTimer = setTimeout(() => timeoutAbort("connect"), SOURCE_CONNECT_TIMEOUT_MS);
+  let idleTimer = null;
 
-    // Si NO cabe: calcular segTime para que cada chunk WAV <= targetBytes
-    // WAV PCM 16k mono 16-bit => ~256 kbps => 32000 bytes/s
-    const bytesPerSecond = 32000; // 16k * 2 bytes = 32 kB/s
-    const segBySize = Math.floor(targetBytes / bytesPerSecond); // seg por tamaño
-    const segTime = Math.max(Math.max(1, Number(min_chunk_seconds) || 10), segBySize);
+  const reqHeaders = { ...headers };
+  if (state.written > 0) {
+    reqHeaders.Range = `bytes=${state.written}-`;
+    const v = state.validators?.etag || state.validators?.last_modified;
+    if (v) reqHeaders["If-Range"] = v;
+  }
 
-    // Segmentar WAV a WAV (copy)
-    const { dir, files } = await segmentPcmWav(wavPath, segTime);
-    if (!files.length) {
-      fs.existsSync(wavPath) && fs.unlinkSync(wavPath);
-      tmpVid.removeCallback?.();
-      dir.removeCallback?.();
-      return res.status(500).json({
-        ok: false,
-        ...reqInfo,
-        error: "Segmentation produced no files",
+  try {
+    let resp;
+    try {
+      resp = await axios.get(url, {
+        responseType: "stream",
+        headers: reqHeaders,
+        signal: runSignal ? AbortSignal.any([runSignal, attempt.signal]) : attempt.signal,
+        httpAgent: sourceHttpAgent,
+        httpsAgent: sourceHttpsAgent,
+        maxRedirects: SOURCE_MAX_REDIRECTS,
+        beforeRedirect: (opts) => checkSourceUrl(opts.href),
+        validateStatus: () => true,
       });
+    } finally {
+      clearTimeout(connectTimer);
     }
 
-    // Subir chunks + metadatos start/end
-    const id = uuidv4();
-    const chunks = [];
-    let accStart = 0;
-
-    for (let i = 0; i < files.length; i++) {
-      const fp = `${dir.name}/${files[i]}`;
-      const partDuration = await getDurationSeconds(fp);
-      const url = await uploadToSupabase(
-        fp,
-        `audio/${id}/chunk_${String(i).padStart(3, "0")}.wav`,
-        "audio/wav"
-      );
-      const st = accStart;
-      const en = Math.min(duration, accStart + partDuration);
-      const sz = fs.statSync(fp).size;
+    const status = resp.status;
+    if (status === 304) {
+      resp.data.resume();
+      return { notModified: true };
+    }
+    if (status === 416 && state.written > 0) {
+      // El rango ya no aplica (archivo cambió/truncado): empezar de cero
+      resp.data.resume();
+      state.written = 0;
+      fs.truncateSync(file, 0);
+      throw sourceError("SOURCE_NETWORK_ERROR", "Range not satisfiable; restarting download");
+    }
+    if (status < 200 || status >= 300) {
+      resp.data.resume();
+      throw sourceError("SOURCE_HTTP_ERROR", `Source responded HTTP ${status}`, { http_status: status });
+    }
+    if (state.written > 0 && status !== 206) {
+      // Ignoró el Range (o If-Range no coincidió): se descarga entero otra vez
+      state.written = 0;
+      fs.truncateSync(file, 0);
+    }
 
-      chunks.push({
-        index: i,
-        url,
-        start: Number(st.toFixed(3)),
-        end: Number(en.toFixed(3)),
-        duration_seconds: Number(partDuration.toFixed(3)),
-        size_bytes: sz,
-        filename: files[i]
+    const type = String(resp.headers["content-type"] || "").split(";")[0].trim().toLowerCase();
+    if (type && !spec.types.some((re) => re.test(type))) {
+      resp.data.resume();
+      throw sourceError("SOURCE_BAD_CONTENT_TYPE", `Unexpected content-type: ${type}`, { content_type: type });
+    }
+    const range = /\/(\d+)$/.exec(resp.headers["content-range"] || "");
+    const total = range ? Number(range[1]) : Number(resp.headers["content-length"]) || null;
+    if (total && total > spec.maxBytes) {
+      resp.data.resume();
+      throw sourceError("SOURCE_TOO_LARGE", `Source is ${total} bytes (max ${spec.maxBytes})`, {
+        size_bytes: total,
       });
-
-      accStart = en;
     }
+    state.total = total;
+    state.canResume = status === 206 || resp.headers["accept-ranges"] === "bytes";
+    state.validators = state.validators || {
+      etag: resp.headers.etag || null,
+      last_modified: resp.headers["last-modified"] || null,
+    };
 
-    // Limpieza
-    fs.existsSync(wavPath) && fs.unlinkSync(wavPath);
-    dir.removeCallback?.();
-    tmpVid.removeCallback?.();
-
-    return res.json({
-      ok: true,
-      ...reqInfo,
-      chunked: true,
-      format: "wav",
-      codec: "pcm_s16le",
-      sample_rate: 16000,
-      duration_seconds: Math.round(duration),
-      target_mb: Number(target_mb) || 24,
-      segment_seconds: segTime,
-      overlap_seconds: Number(overlap_seconds) || 0,
-      audio_stream_index: bestIdx,
-      audio_chunks: chunks
+    await new Promise((ok, bad) => {
+      const writer = fs.createWriteStream(file, { flags: state.written > 0 ? "a" : "w" });
+      let head = state.written === 0 ? Buffer.alloc(0) : null;
+      let failed = null;
+      const fail = (e) => {
+        if (failed) return;
+        failed = e;
+        clearTimeout(idleTimer);
+        resp.data.unpipe(writer);
+        resp.data.destroy();
+        writer.end();
+      };
+      const armIdle = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => timeoutAbort("idle"), SOURCE_IDLE_TIMEOUT_MS);
+      };
+      armIdle();
+      trackDownload(resp.data, total, state.written);
+      resp.data.on("data", (chunk) => {
+        armIdle();
+        state.received += chunk.length;
+        if (state.written + state.received > spec.maxBytes) {
+          return fail(sourceError("SOURCE_TOO_LARGE", `Source exceeds ${spec.maxBytes} bytes`));
+        }
+        if (head && spec.magic) {
+          head = Buffer.concat([head, chunk]);
+          if (head.length >= 16) {
+            if (!spec.magic(head)) fail(sourceError("SOURCE_BAD_MAGIC", "Content does not look like a supported file"));
+            head = null;
+          }
+        }
+      });
+      resp.data.on("end", () => clearTimeout(idleTimer));
+      resp.data.on("error", fail);
+      resp.data.pipe(writer);
+      writer.on("error", fail);
+      writer.on("close", () => (failed ? bad(failed) : ok()));
     });
   } catch (e) {
-    const err = normalizeErr(e);
-    log("ERR", reqInfo, err);
-    return res.status(500).json({
-      ok: false,
-      ...reqInfo,
-      error: err,
-      hint: "Verifica bucket/path o URL firmada y permisos.",
-    });
+    if (runSignal?.aborted) throw e;
+    if (timedOut) {
+      throw sourceError("SOURCE_TIMEOUT", `${timedOut === "connect" ? "Connect" : "Idle"} timeout`, {
+        timeout: timedOut,
+      });
+    }
+    // El rechazo de un redirect llega envuelto (axios -> follow-redirects -> SourceError)
+    for (let c = e; c; c = c.cause) if (c.name === "SourceError") throw c;
+    throw sourceError("SOURCE_NETWORK_ERROR", e.message || "Network error", { cause_code: e.code || null });
+  } finally {
+    clearTimeout(connectTimer);
+    clearTimeout(idleTimer);
   }
-});
+  return null;
+}
 
-// --- ASTATS (detección de energía / risas) ---
-app.post("/astats", async (req, res) => {
-  const reqInfo = { where: "astats", reqId: req._id };
+// Archivos de menos de 16 bytes no pasan por el chequeo en streaming
+function tooShortForMagic(file, spec) {
+  if (!spec.magic) return false;
+  const size = fs.statSync(file).size;
+  if (size >= 16) return false;
+  const b = Buffer.alloc(16);
+  const fd = fs.openSync(file, "r");
   try {
-    logReq(req, reqInfo);
-    const {
-      video_url,
-      source,
-      max_seconds = 1200, // 20 min
-      percentile = 0.6,
-      base_db = -35,
-      pad = 1.2,
-      merge_gap = 1.0,
-    } = req.body || {};
+    fs.readSync(fd, b, 0, size, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return !spec.magic(b);
+}
+
+// `headers` permite GET condicional (If-None-Match / If-Modified-Since):
+// con 304 devuelve { notModified: true } sin crear archivo.
+async function downloadHttpToTemp(url, postfix = ".mp4", headers = {}, kind = "media") {
+  const safeUrl = url.replace(/\s/g, "%20");
+  checkSourceUrl(safeUrl);
+  const spec = DOWNLOAD_KINDS[kind];
+  const f = tmp.fileSync({ postfix });
+  const state = { written: 0, received: 0, total: null, canResume: false, validators: null };
 
-    if (!video_url && !source) {
-      return res
-        .status(400)
-        .json({ ok: false, ...reqInfo, error: "video_url OR source{bucket,path} required" });
+  try {
+    for (let attempt = 0; ; attempt++) {
+      state.received = 0;
+      try {
+        const r = await downloadAttempt(safeUrl, f.name, state, spec, attempt === 0 ? headers : {});
+        if (r?.notModified) {
+          f.removeCallback();
+          return r;
+        }
+        const size = fs.statSync(f.name).size;
+        if (state.total && size < state.total) {
+          state.written = size;
+          throw sourceError("SOURCE_NETWORK_ERROR", `Incomplete download: ${size}/${state.total} bytes`);
+        }
+        if (tooShortForMagic(f.name, spec)) {
+          throw sourceError("SOURCE_BAD_MAGIC", "Content does not look like a supported file");
+        }
+        break;
+      } catch (e) {
+        if (e.name !== "SourceError" || !isRetryableSourceError(e) || attempt >= SOURCE_RETRIES.length) {
+          throw e;
+        }
+        // Lo ya escrito se conserva sólo si el servidor acepta Range
+        const size = fs.existsSync(f.name) ? fs.statSync(f.name).size : 0;
+        state.written = state.canResume ? size : 0;
+        if (!state.canResume && size) fs.truncateSync(f.name, 0);
+        log("DOWNLOAD_RETRY", new URL(safeUrl).host, e.code, e.message, {
+          attempt: attempt + 1,
+          resume_from: state.written,
+        });
+        await new Promise((ok) => setTimeout(ok, SOURCE_RETRIES[attempt]));
+      }
     }
+  } catch (e) {
+    f.removeCallback();
+    throw e;
+  }
+  f.validators = state.validators;
+  f.size_bytes = fs.statSync(f.name).size;
+  return f;
+}
 
-    const maxSec = Math.max(1, Number(max_seconds) || 1200);
-    const tmpVid = await downloadToTempSmart({ video_url, source }, ".mp4");
+/**
+ * Descarga universal:
+ *  - Si llega `source` (ver parseSource) => usa el driver de storage correspondiente.
+ *  - Si llega video_url (firmada o pública) => SIEMPRE descarga por HTTP (NO SDK).
+ */
+async function downloadToTempSmart({ video_url, source }, postfix = ".mp4", kind = "media") {
+  const loc = parseSource(source);
+  if (loc) {
+    return getStorageDriver(loc.driver).download(loc.bucket, loc.path, postfix);
+  }
+  if (video_url) {
+    return downloadHttpToTemp(video_url, postfix, {}, kind);
+  }
+  throw new Error(
+    'Provide either { video_url } or { source: { driver?, bucket, path } } / "driver://bucket/path"'
+  );
+}
 
-    const hasAudio = await hasAudioStream(tmpVid.name);
-    if (!hasAudio) {
-      tmpVid.removeCallback();
-      return res.json({
-        ok: true,
-        ...reqInfo,
-        threshold: Number(base_db),
-        ranges: [],
-        limited: true,
-        points: 0,
-        note: "No se encontró pista de audio en el video.",
-        method: "no_audio",
-        mode: source?.bucket ? "sdk" : "http",
-      });
+// ========= SOURCE CACHE (LRU en disco) =========
+// Clave: "driver://bucket/path" o la URL sin parámetros de firma. Cada entrada se
+// revalida con ETag/Last-Modified antes de usarse; las entradas en uso (pins) no se desalojan.
+// Cada descarga va a un archivo propio: si la fuente cambia mientras otro request usa la
+// versión anterior, ésta queda "retirada" y se borra cuando se libera su último pin.
+const SOURCE_CACHE_DIR = nodePath.resolve(
+  process.env.SOURCE_CACHE_DIR || nodePath.join(os.tmpdir(), "video-svc-cache")
+);
+const SOURCE_CACHE_MAX_BYTES = Number(process.env.SOURCE_CACHE_MAX_MB ?? 5120) * 1024 * 1024;
+const SIGNING_PARAMS = /^(token|signature|sig|expires|policy|key-pair-id|x-amz-.*|x-goog-.*|se|sp|sv|sr|st|skoid|sktid|skt|ske|sks|skv)$/i;
+
+const sourceCache = new Map(); // key -> entry; orden de inserción = orden LRU
+const sourceCacheInflight = new Map(); // key -> Promise (evita descargas duplicadas)
+
+function cacheKeyForUrl(url) {
+  try {
+    const u = new URL(String(url).replace(/\s/g, "%20"));
+    for (const k of [...u.searchParams.keys()]) {
+      if (SIGNING_PARAMS.test(k)) u.searchParams.delete(k);
     }
+    u.hash = "";
+    return u.toString();
+  } catch {
+    return String(url);
+  }
+}
 
-    const astatsFilter = [
-      "aresample=16000:resampler=soxr:precision=16",
-      "aformat=channel_layouts=mono",
-      "astats=metadata=1:reset=1",
-      "ametadata=mode=print:key=lavfi.astats.Overall.RMS_level:file=-",
-    ].join(",");
+function cacheFileBase(key) {
+  return nodePath.join(SOURCE_CACHE_DIR, crypto.createHash("sha256").update(key).digest("hex"));
+}
 
-    let out = "";
-    let method = "astats_ametadata";
+function saveCacheMeta(entry) {
+  const { pins: _pins, retired: _retired, ...meta } = entry;
+  fs.writeFileSync(`${cacheFileBase(entry.key)}.json`, JSON.stringify(meta));
+}
 
-    let cmd = `ffmpeg -hide_banner -loglevel warning -y -t ${maxSec} -i "${tmpVid.name}" -map a:0 -vn -af "${astatsFilter}" -f null -`;
+function loadSourceCacheIndex() {
+  if (SOURCE_CACHE_MAX_BYTES <= 0) return;
+  fs.mkdirSync(SOURCE_CACHE_DIR, { recursive: true });
+  const entries = [];
+  const names = fs.readdirSync(SOURCE_CACHE_DIR);
+  for (const f of names) {
+    const full = nodePath.join(SOURCE_CACHE_DIR, f);
+    if (f.endsWith(".part")) {
+      fs.rmSync(full, { force: true });
+      continue;
+    }
+    if (!f.endsWith(".json")) continue;
     try {
-      const { stdout, stderr } = await execAsync(cmd);
-      out = `${stdout}\n${stderr}`;
+      const meta = JSON.parse(fs.readFileSync(full, "utf8"));
+      if (meta.file && fs.existsSync(meta.file)) entries.push({ ...meta, pins: 0 });
+      else fs.rmSync(full, { force: true });
     } catch {
-      try {
-        cmd = `ffmpeg -hide_banner -loglevel warning -y -t ${maxSec} -i "${tmpVid.name}" -vn -af "${astatsFilter}" -f null -`;
-        const { stdout, stderr } = await execAsync(cmd);
-        out = `${stdout}\n${stderr}`;
-      } catch {
-        method = "silencedetect_fallback";
-        const sdFilter = [
-          "aresample=16000:resampler=soxr:precision=16",
-          "aformat=channel_layouts=mono",
-          `silencedetect=noise=${base_db}dB:d=0.2`,
-        ].join(",");
-        const cmd2 = `ffmpeg -hide_banner -loglevel warning -y -t ${maxSec} -i "${tmpVid.name}" -vn -af "${sdFilter}" -f null -`;
-        const { stdout: sdOut, stderr: sdErr } = await execAsync(cmd2);
-        out = `${sdOut}\n${sdErr}`;
-      }
+      fs.rmSync(full, { force: true });
     }
+  }
+  // Versiones retiradas que quedaron de un proceso anterior (ninguna meta las referencia)
+  const live = new Set(entries.map((e) => nodePath.resolve(e.file)));
+  for (const f of names) {
+    const full = nodePath.join(SOURCE_CACHE_DIR, f);
+    if (!f.endsWith(".json") && !f.endsWith(".part") && !live.has(full)) fs.rmSync(full, { force: true });
+  }
+  entries.sort((a, b) => a.last_used - b.last_used);
+  for (const e of entries) sourceCache.set(e.key, e);
+  evictSourceCache();
+}
 
-    const MAX_T = maxSec;
+function removeCacheEntry(entry) {
+  sourceCache.delete(entry.key);
+  fs.rmSync(entry.file, { force: true });
+  fs.rmSync(`${cacheFileBase(entry.key)}.json`, { force: true });
+}
 
-    let pts = [];
-    if (method === "astats_ametadata") {
-      const rePts = /pts_time[:=]\s*(\d+(?:\.\d+)?)/g;
-      const times = [];
-      let m;
-      while ((m = rePts.exec(out)) !== null) {
-        const t = parseFloat(m[1]);
-        if (t <= MAX_T) times.push(t);
-      }
+// Versión reemplazada por una descarga nueva: se borra ya o al soltar el último pin
+function retireCacheEntry(entry) {
+  entry.retired = true;
+  if (entry.pins === 0) fs.rmSync(entry.file, { force: true });
+}
 
-      const rms = [];
-      const reRmsA = /key:lavfi\.astats\.Overall\.RMS_level\s+value:([-\d.]+)/g;
-      while ((m = reRmsA.exec(out)) !== null) rms.push(parseFloat(m[1]));
-      const reRmsB = /lavfi\.astats\.Overall\.RMS_level\s*=\s*([-\d.]+)/g;
-      while ((m = reRmsB.exec(out)) !== null) rms.push(parseFloat(m[1]));
-
-      const N = Math.min(times.length || Infinity, rms.length);
-      if (N && times.length) {
-        for (let i = 0; i < N; i++) pts.push({ t: times[i], rms: rms[i] });
-      } else if (rms.length) {
-        const step = 0.5;
-        for (let i = 0; i < rms.length; i++) {
-          const t = i * step;
-          if (t <= MAX_T) pts.push({ t, rms: rms[i] });
-        }
+function evictSourceCache() {
+  let total = 0;
+  for (const e of sourceCache.values()) total += e.size;
+  for (const e of [...sourceCache.values()]) {
+    if (total <= SOURCE_CACHE_MAX_BYTES) break;
+    if (e.pins > 0) continue;
+    total -= e.size;
+    removeCacheEntry(e);
+  }
+}
+
+// Handle compatible con tmp: `removeCallback` libera el pin en vez de borrar el archivo
+function cacheHandle(entry, status) {
+  entry.pins += 1;
+  entry.last_used = Date.now();
+  sourceCache.delete(entry.key);
+  sourceCache.set(entry.key, entry);
+  saveCacheMeta(entry);
+  let released = false;
+  return {
+    name: entry.file,
+    cache: status,
+    removeCallback() {
+      if (released) return;
+      released = true;
+      entry.pins = Math.max(0, entry.pins - 1);
+      if (entry.retired && entry.pins === 0) fs.rmSync(entry.file, { force: true });
+      evictSourceCache();
+    },
+  };
+}
+
+// Mueve un archivo tmp descargado a la caché (nombre único por versión) y registra la entrada
+function storeInCache(key, f, postfix, validators) {
+  const file = `${cacheFileBase(key)}-${uuidv4().slice(0, 8)}${postfix}`;
+  try {
+    fs.renameSync(f.name, file);
+  } catch {
+    fs.copyFileSync(f.name, file); // EXDEV: tmp en otro filesystem
+    f.removeCallback?.();
+  }
+  const prev = sourceCache.get(key);
+  if (prev) retireCacheEntry(prev);
+  const entry = {
+    key,
+    file,
+    size: fs.statSync(file).size,
+    etag: validators?.etag || null,
+    last_modified: validators?.last_modified || null,
+    last_used: Date.now(),
+    pins: 0,
+  };
+  sourceCache.set(key, entry);
+  return entry;
+}
+
+async function fetchSourceCached(key, loc, video_url, postfix) {
+  const entry = sourceCache.get(key);
+  if (loc) {
+    const driver = getStorageDriver(loc.driver);
+    const validators = await driver.stat(loc.bucket, loc.path);
+    const same =
+      !!entry &&
+      fs.existsSync(entry.file) &&
+      (validators.etag
+        ? entry.etag === validators.etag
+        : !!validators.last_modified && entry.last_modified === validators.last_modified);
+    if (same) return cacheHandle(entry, "hit");
+    const f = await driver.download(loc.bucket, loc.path, postfix);
+    return cacheHandle(storeInCache(key, f, postfix, validators), "miss");
+  }
+
+  const headers = {};
+  if (entry && fs.existsSync(entry.file)) {
+    if (entry.etag) headers["If-None-Match"] = entry.etag;
+    if (entry.last_modified) headers["If-Modified-Since"] = entry.last_modified;
+  }
+  const f = await downloadHttpToTemp(video_url, postfix, headers);
+  if (f.notModified && entry) return cacheHandle(entry, "hit");
+  return cacheHandle(storeInCache(key, f, postfix, f.validators), "miss");
+}
+
+function sourceCacheKey({ video_url, source }) {
+  const loc = parseSource(source);
+  return loc ? `${loc.driver}://${loc.bucket}/${loc.path}` : cacheKeyForUrl(video_url);
+}
+
+// ¿Hay copia local de la fuente? (sin validar contra el origen)
+function isSourceCached(input) {
+  if (SOURCE_CACHE_MAX_BYTES <= 0) return false;
+  const entry = sourceCache.get(sourceCacheKey(input));
+  return !!entry && fs.existsSync(entry.file);
+}
+
+/**
+ * Igual que downloadToTempSmart pero pasando por la caché de fuentes.
+ * Devuelve un handle { name, removeCallback, cache: "hit" | "miss" | "bypass" }.
+ * `useCache = false` (campo `cache: false` del body) fuerza descarga fresca.
+ */
+async function fetchSource({ video_url, source }, postfix = ".mp4", useCache = true) {
+  const loc = parseSource(source);
+  if (SOURCE_CACHE_MAX_BYTES <= 0 || useCache === false || (!loc && !video_url)) {
+    const f = await downloadToTempSmart({ video_url, source }, postfix);
+    f.cache = "bypass";
+    return f;
+  }
+  const key = sourceCacheKey({ video_url, source });
+
+  // Misma clave en vuelo => esperar y reintentar (la segunda ya será "hit")
+  while (sourceCacheInflight.has(key)) {
+    await sourceCacheInflight.get(key).catch(() => {});
+  }
+  const p = fetchSourceCached(key, loc, video_url, postfix);
+  sourceCacheInflight.set(key, p);
+  try {
+    return await p;
+  } finally {
+    sourceCacheInflight.delete(key);
+  }
+}
+
+loadSourceCacheIndex();
+
+// ========= INPUT REMOTO (seek por HTTP Range) =========
+// ffmpeg lee la fuente por HTTP y pide sólo los rangos que necesita (índice + GOPs del clip).
+// Lo hace a través de un proxy en 127.0.0.1 que aplica las reglas de DOWNLOADS (SSRF,
+// redirects, timeout de inactividad) y cuenta los bytes que realmente se transfieren.
+const INPUT_STRATEGIES = ["auto", "remote", "download"];
+// format_name de ffprobe con índice al que se puede saltar (moov / Cues)
+const SEEKABLE_FORMATS = /^(mov|mp4|m4a|3gp|3g2|mj2|matroska|webm)\b/;
+const REMOTE_INPUT_URL_EXPIRES = 60 * 60;
+
+// URL HTTP de la fuente: video_url tal cual, o URL firmada del driver de storage
+async function remoteSourceUrl({ video_url, source }) {
+  const loc = parseSource(source);
+  if (!loc) return video_url.replace(/\s/g, "%20");
+  const driver = getStorageDriver(loc.driver);
+  if (!driver.signedUrl) return null;
+  return driver.signedUrl(loc.bucket, loc.path, REMOTE_INPUT_URL_EXPIRES);
+}
+
+function sourceRequest(url, { headers = {}, signal, responseType = "stream" } = {}) {
+  return axios.get(url, {
+    responseType,
+    headers,
+    signal,
+    httpAgent: sourceHttpAgent,
+    httpsAgent: sourceHttpsAgent,
+    maxRedirects: SOURCE_MAX_REDIRECTS,
+    beforeRedirect: (opts) => checkSourceUrl(opts.href),
+    validateStatus: () => true,
+  });
+}
+
+// Proxy local de un solo uso; `stats.bytes` suma lo recibido del origen
+function openRangeProxy(targetUrl, stats, runSignal) {
+  const token = crypto.randomBytes(12).toString("hex");
+  const server = http.createServer(async (req, res) => {
+    if (req.url !== `/${token}` || req.method !== "GET") {
+      res.writeHead(404).end();
+      return;
+    }
+    stats.requests += 1;
+    const upstream = new AbortController();
+    res.on("close", () => upstream.abort());
+    let idleTimer = null;
+    try {
+      const r = await sourceRequest(targetUrl, {
+        headers: req.headers.range ? { Range: req.headers.range } : {},
+        signal: runSignal ? AbortSignal.any([runSignal, upstream.signal]) : upstream.signal,
+      });
+      const headers = {};
+      for (const h of ["content-type", "content-length", "content-range", "accept-ranges"]) {
+        if (r.headers[h]) headers[h] = r.headers[h];
       }
-    } else {
+      res.writeHead(r.status, headers);
+      const armIdle = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(() => upstream.abort(), SOURCE_IDLE_TIMEOUT_MS);
+      };
+      armIdle();
+      r.data.on("data", (chunk) => {
+        armIdle();
+        stats.bytes += chunk.length;
+      });
+      r.data.on("end", () => clearTimeout(idleTimer));
+      r.data.on("error", () => {
+        clearTimeout(idleTimer);
+        res.destroy();
+      });
+      r.data.pipe(res);
+    } catch (e) {
+      clearTimeout(idleTimer);
+      if (!res.headersSent) res.writeHead(502).end();
+      else res.destroy();
+    }
+  });
+  return new Promise((ok, bad) => {
+    server.on("error", bad);
+    server.listen(0, "127.0.0.1", () => {
+      ok({
+        url: `http://127.0.0.1:${server.address().port}/${token}`,
+        close() {
+          server.closeAllConnections();
+          server.close();
+        },
+      });
+    });
+  });
+}
+
+/**
+ * Abre la fuente como input remoto si el origen acepta Range y el contenedor tiene índice.
+ * Devuelve un handle compatible con tmp ({ name, removeCallback }) cuyo `name` es una URL
+ * para ffmpeg, o { name: null, reason } si hay que descargarla entera.
+ */
+async function openRemoteInput({ video_url, source }) {
+  const url = await remoteSourceUrl({ video_url, source });
+  if (!url) return { name: null, reason: `${parseSource(source).driver} storage has no signed URLs` };
+  checkSourceUrl(url);
+
+  const runSignal = runContext.getStore()?.signal;
+  const stats = { bytes: 0, requests: 1 };
+  // Primeros 16 bytes; si el origen ignora el Range se corta la respuesta ahí mismo
+  const probe = new AbortController();
+  const head = await sourceRequest(url, {
+    headers: { Range: "bytes=0-15" },
+    signal: runSignal ? AbortSignal.any([runSignal, probe.signal]) : probe.signal,
+  });
+  let body = Buffer.alloc(0);
+  await new Promise((ok) => {
+    head.data.on("data", (chunk) => {
+      body = Buffer.concat([body, chunk]);
+      if (body.length >= 16) {
+        probe.abort();
+        ok();
+      }
+    });
+    head.data.on("end", ok);
+    head.data.on("error", ok);
+  });
+  if (runSignal?.aborted) throw runSignal.reason;
+  stats.bytes += body.length;
+  const total = /\/(\d+)$/.exec(head.headers["content-range"] || "");
+  if (head.status !== 206 || !total) {
+    return { name: null, reason: `origin does not support range requests (HTTP ${head.status})`, stats };
+  }
+  if (body.length < 16 || !isMediaMagic(body)) {
+    return { name: null, reason: "content does not look like a media file", stats };
+  }
+
+  const proxy = await openRangeProxy(url, stats, runSignal);
+  try {
+    const fmt = (await ffprobeJson(proxy.url)).format || {};
+    if (!SEEKABLE_FORMATS.test(fmt.format_name || "")) {
+      proxy.close();
+      return { name: null, reason: `container ${fmt.format_name || "unknown"} is not seekable`, stats };
+    }
+  } catch (e) {
+    proxy.close();
+    if (!isRetryableProcessError(e)) throw e;
+    return { name: null, reason: "ffprobe could not read the source over HTTP", stats };
+  }
+  return {
+    name: proxy.url,
+    cache: "bypass",
+    stats,
+    size_bytes: Number(total[1]),
+    removeCallback: proxy.close,
+  };
+}
+
+/**
+ * Input de /cut según `input_strategy`:
+ *  - "auto" (default): seek remoto si se puede; si no, descarga completa (pasando por la caché)
+ *  - "remote": seek remoto o error SOURCE_NOT_SEEKABLE
+ *  - "download": descarga completa como siempre
+ * Si la fuente ya está en la caché local, "auto" la usa directamente.
+ * `handle.input()` reporta { strategy, requested, reason, bytes_transferred, source_size_bytes }.
+ */
+async function openCutInput(body) {
+  const { video_url, source } = body;
+  const requested = body.input_strategy || "auto";
+  let reason = null;
+  let probeBytes = 0;
+
+  if (requested === "auto" && body.cache !== false && isSourceCached({ video_url, source })) {
+    reason = "source is in the local cache";
+  } else if (requested !== "download") {
+    let remote;
+    try {
+      remote = await openRemoteInput({ video_url, source });
+    } catch (e) {
+      if (runContext.getStore()?.signal?.aborted || requested === "remote") throw e;
+      remote = { name: null, reason: e.message };
+    }
+    if (remote.name) {
+      remote.input = () => ({
+        strategy: "remote",
+        requested,
+        reason: null,
+        requests: remote.stats.requests,
+        bytes_transferred: remote.stats.bytes,
+        source_size_bytes: remote.size_bytes,
+      });
+      return remote;
+    }
+    if (requested === "remote") {
+      throw sourceError("SOURCE_NOT_SEEKABLE", `Remote input not possible: ${remote.reason}`);
+    }
+    reason = remote.reason;
+    probeBytes = remote.stats?.bytes || 0;
+  }
+
+  const f = await fetchSource({ video_url, source }, ".mp4", body.cache);
+  const size = fs.statSync(f.name).size;
+  f.input = () => ({
+    strategy: "download",
+    requested,
+    reason,
+    bytes_transferred: probeBytes + (f.cache === "hit" ? 0 : size),
+    source_size_bytes: size,
+  });
+  return f;
+}
+
+// ========= HELPERS AUDIO =========
+async function hasAudioStream(filePath) {
+  try {
+    const { stdout, stderr } = await runFfprobe([
+      "-v", "error", "-select_streams", "a", "-show_entries", "stream=index", "-of", "csv=p=0", filePath,
+    ]);
+    const out = `${stdout}\n${stderr}`.trim();
+    return out.length > 0;
+  } catch (e) {
+    if (!isRetryableProcessError(e)) throw e;
+    return false;
+  }
+}
+
+// Duración (segundos) con ffprobe
+async function getDurationSeconds(filePath) {
+  const { stdout } = await runFfprobe([
+    "-v", "error", "-show_entries", "format=duration", "-of", "default=nw=1:nk=1", filePath,
+  ]);
+  const v = parseFloat(String(stdout).trim());
+  if (!isFinite(v) || v <= 0) throw new Error("Could not probe duration");
+  return v;
+}
+
+// Listar streams de audio (índice global, idioma, etc.)
+async function ffprobeAudioStreams(filePath) {
+  const { stdout } = await runFfprobe([
+    "-v", "error", "-show_streams", "-select_streams", "a", "-of", "json", filePath,
+  ]);
+  const json = JSON.parse(stdout || "{}");
+  const streams = (json.streams || []).map((s, idx) => ({
+    index: typeof s.index === "number" ? s.index : idx, // índice GLOBAL
+    codec_name: s.codec_name || null,
+    channels: s.channels || null,
+    sample_rate: s.sample_rate ? Number(s.sample_rate) : null,
+    bit_rate: s.bit_rate ? Number(s.bit_rate) : null,
+    duration: s.duration ? Number(s.duration) : null,
+    tags: s.tags || {},
+    language:
+      (s.tags?.language || s.tags?.LANGUAGE || s.tags?.Language || "").toLowerCase() || null,
+    title: s.tags?.title || null,
+  }));
+  return streams;
+}
+
+// Selector `audio` del body: { index?, languages?, title?, loudest? } (índice GLOBAL de ffprobe)
+// Alias ISO 639-1 / 639-2 (B y T) y nombres, para idiomas en tags y títulos
+const AUDIO_LANGUAGE_ALIASES = {
+  es: ["spa", "esl", "spanish", "español", "castellano"],
+  en: ["eng", "english", "inglés"],
+  pt: ["por", "portuguese", "português", "portugués"],
+  fr: ["fra", "fre", "french", "français", "francés"],
+  de: ["deu", "ger", "german", "deutsch", "alemán"],
+  it: ["ita", "italian", "italiano"],
+  ca: ["cat", "catalan", "català"],
+  nl: ["nld", "dut", "dutch"],
+  ja: ["jpn", "japanese"],
+  zh: ["zho", "chi", "chinese"],
+  ko: ["kor", "korean"],
+  ru: ["rus", "russian"],
+  ar: ["ara", "arabic"],
+  hi: ["hin", "hindi"],
+};
+// Preferencia cuando el body no trae `audio` (histórico: español)
+const AUDIO_DEFAULT_LANGUAGES = (process.env.AUDIO_DEFAULT_LANGUAGES ?? "es")
+  .split(",")
+  .map((l) => l.trim().toLowerCase())
+  .filter(Boolean);
+const AUDIO_LOUDNESS_SECONDS = 300; // muestra por pista para `loudest`
+
+function validateAudioSelector(audio) {
+  if (audio === undefined || audio === null) return null;
+  if (typeof audio !== "object" || Array.isArray(audio)) {
+    return "audio must be an object { index?, languages?, title?, loudest? }";
+  }
+  if (audio.index !== undefined && !(Number.isInteger(audio.index) && audio.index >= 0)) {
+    return "audio.index must be an integer >= 0 (global stream index, see /probe)";
+  }
+  if (
+    audio.languages !== undefined &&
+    !(
+      Array.isArray(audio.languages) &&
+      audio.languages.length <= 20 &&
+      audio.languages.every((l) => typeof l === "string" && /^[a-z]{2,3}([-_][a-z0-9]{2,8})?$/i.test(l))
+    )
+  ) {
+    return 'audio.languages must be an array of language codes (e.g. ["en", "por"])';
+  }
+  // Texto literal, no regex: un patrón del cliente con backtracking bloquearía el event loop
+  if (audio.title !== undefined && !(typeof audio.title === "string" && audio.title.length <= 200)) {
+    return "audio.title must be a string (max 200 chars)";
+  }
+  if (audio.loudest !== undefined && typeof audio.loudest !== "boolean") return "audio.loudest must be boolean";
+  return null;
+}
+
+// "pt-BR" / "por" / "Portuguese" => "pt"
+function languageCode(l) {
+  const v = String(l || "").toLowerCase().split(/[-_]/)[0];
+  if (AUDIO_LANGUAGE_ALIASES[v]) return v;
+  const hit = Object.entries(AUDIO_LANGUAGE_ALIASES).find(([, aliases]) => aliases.includes(v));
+  return hit ? hit[0] : v || null;
+}
+
+// Por tag de idioma o, si no lo hay, por el nombre del idioma en el título ("English 5.1")
+function matchesLanguage(stream, wanted) {
+  const code = languageCode(wanted);
+  if (stream.language && stream.language !== "und") return languageCode(stream.language) === code;
+  const names = (AUDIO_LANGUAGE_ALIASES[code] || []).filter((a) => a.length > 3);
+  const title = String(stream.title || "").toLowerCase();
+  return names.some((n) => title.includes(n));
+}
+
+// Loudness integrado EBU R128 (LUFS) de una pista sobre los primeros AUDIO_LOUDNESS_SECONDS
+async function integratedLoudness(srcPath, index) {
+  const { stderr } = await runFfmpeg([
+    ...FFMPEG_COMMON, "-t", AUDIO_LOUDNESS_SECONDS, "-i", srcPath,
+    "-map", `0:${index}`, "-vn", "-af", "ebur128=framelog=quiet", "-f", "null", "-",
+  ]);
+  const all = [...String(stderr).matchAll(/I:\s+(-?[\d.]+)\s+LUFS/g)];
+  return all.length ? Number(all[all.length - 1][1]) : null;
+}
+
+/**
+ * Elige la pista de audio según el selector:
+ *  - index: esa pista y nada más (error si no es de audio)
+ *  - title: texto contenido en el título (sin distinguir mayúsculas); filtra candidatas
+ *  - languages: preferencia ordenada; la primera que tenga pistas filtra candidatas
+ *  - loudest: entre las candidatas, la de mayor loudness integrado
+ * Sin selector se usa AUDIO_DEFAULT_LANGUAGES. Desempate: la más larga; si no, la primera.
+ * Devuelve { index, language, title, codec, channels, reason } o null si no hay audio.
+ */
+async function selectAudioStream(srcPath, selector) {
+  const streams = await ffprobeAudioStreams(srcPath);
+  if (!streams.length) return null;
+  const sel = selector || {};
+  const chosen = (s, reason, extra = {}) => ({
+    index: s.index,
+    language: s.language,
+    title: s.title,
+    codec: s.codec_name,
+    channels: s.channels,
+    reason,
+    ...extra,
+  });
+
+  if (sel.index !== undefined) {
+    const s = streams.find((x) => x.index === sel.index);
+    if (!s) {
+      const e = new Error(
+        `audio.index ${sel.index} is not an audio stream (audio streams: ${streams.map((x) => x.index).join(", ")})`
+      );
+      e.code = "AUDIO_STREAM_NOT_FOUND";
+      throw e;
+    }
+    return chosen(s, "index");
+  }
+  if (streams.length === 1) return chosen(streams[0], "only_audio_stream");
+
+  let candidates = streams;
+  const reasons = [];
+  if (sel.title) {
+    const wanted = sel.title.toLowerCase();
+    const hit = candidates.filter((s) => String(s.title || "").toLowerCase().includes(wanted));
+    if (hit.length) {
+      candidates = hit;
+      reasons.push("title");
+    }
+  }
+  const noSelector = !sel.title && !sel.languages && !sel.loudest;
+  for (const l of sel.languages || (noSelector ? AUDIO_DEFAULT_LANGUAGES : [])) {
+    const hit = candidates.filter((s) => matchesLanguage(s, l));
+    if (hit.length) {
+      candidates = hit;
+      reasons.push(`language:${l}`);
+      break;
+    }
+  }
+
+  if (sel.loudest && candidates.length > 1) {
+    const measured = [];
+    for (const s of candidates) measured.push({ s, lufs: await integratedLoudness(srcPath, s.index) });
+    measured.sort((a, b) => (b.lufs ?? -Infinity) - (a.lufs ?? -Infinity));
+    return chosen(measured[0].s, [...reasons, "loudest"].join("+"), {
+      loudness_lufs: measured[0].lufs,
+      measured: measured.map((m) => ({ index: m.s.index, loudness_lufs: m.lufs })),
+    });
+  }
+  if (candidates.length === 1) return chosen(candidates[0], reasons.join("+"));
+
+  const withDur = candidates.filter((s) => typeof s.duration === "number" && s.duration > 0);
+  if (withDur.length) {
+    const longest = withDur.sort((a, b) => b.duration - a.duration)[0];
+    return chosen(longest, [...reasons, "longest"].join("+"));
+  }
+  return chosen(candidates[0], [...reasons, "first"].join("+"));
+}
+
+// Extraer a WAV PCM mono (16 kHz por defecto; estable para chunking/ASR)
+// IMPORTANTE: mapeo por índice GLOBAL "0:<index>"
+// `cleanup` (ver speechCleanupFilters) añade el preprocesado de voz
+async function extractCleanWav(
+  srcVideoPath,
+  mapIndex,
+  sampleRate = 16000,
+  onProgress = null,
+  cleanup = null
+) {
+  const id = uuidv4();
+  const outPath = `/tmp/audio_${id}.wav`;
+  const filters = speechCleanupFilters(cleanup, sampleRate);
+  try {
+    await runFfmpeg(
+      [
+        ...FFMPEG_COMMON,
+        "-i", srcVideoPath,
+        "-map", `0:${mapIndex}`,
+        ...(filters.length ? ["-af", filters.join(",")] : []),
+        "-vn", "-ac", 1, "-ar", sampleRate, "-c:a", "pcm_s16le",
+        outPath,
+      ],
+      { onProgress }
+    );
+  } catch (e) {
+    fs.rmSync(outPath, { force: true }); // salida parcial
+    throw e;
+  }
+  return outPath;
+}
+
+// Formatos de salida de /extract-audio (se codifican desde el maestro WAV)
+const AUDIO_FORMATS = {
+  wav: {
+    ext: "wav",
+    codec: "pcm_s16le",
+    contentType: "audio/wav",
+    lossless: true,
+    sampleRates: [8000, 16000, 22050, 24000, 32000, 44100, 48000],
+  },
+  flac: {
+    ext: "flac",
+    codec: "flac",
+    contentType: "audio/flac",
+    lossless: true,
+    sampleRates: [8000, 16000, 22050, 24000, 32000, 44100, 48000],
+  },
+  opus: {
+    ext: "ogg",
+    codec: "libopus",
+    contentType: "audio/ogg",
+    defaultKbps: 32,
+    sampleRates: [8000, 12000, 16000, 24000, 48000], // libopus no acepta otras
+  },
+  mp3: {
+    ext: "mp3",
+    codec: "libmp3lame",
+    contentType: "audio/mpeg",
+    defaultKbps: 64,
+    sampleRates: [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000],
+  },
+};
+
+// Bitrates (kbps) que acepta cada formato con pérdida según el sample rate (mono).
+// MP3: MPEG-1 (32–48 kHz) 32–320, MPEG-2 (16–24 kHz) 8–160, MPEG-2.5 (8–12 kHz) 8–64.
+function audioBitrateRange(fmt, sampleRate) {
+  if (fmt === "opus") return [6, 256];
+  if (fmt !== "mp3") return null;
+  if (sampleRate >= 32000) return [32, 320];
+  if (sampleRate >= 16000) return [8, 160];
+  return [8, 64];
+}
+
+// Codificar el maestro WAV (o el tramo [start, start + dur]) al formato pedido
+async function encodeAudio(wavPath, outPath, fmt, kbps, start = null, dur = null, onProgress = null) {
+  const spec = AUDIO_FORMATS[fmt];
+  const seek = start !== null ? ["-ss", start, "-t", dur.toFixed(3)] : [];
+  // Para WAV/PCM, -c copy es seguro (sin re-codificar ni introducir artefactos)
+  const codec =
+    fmt === "wav"
+      ? ["-c", "copy"]
+      : spec.lossless
+        ? ["-c:a", spec.codec]
+        : ["-c:a", spec.codec, "-b:a", `${kbps}k`];
+  await runFfmpeg([...FFMPEG_COMMON, ...seek, "-i", wavPath, "-vn", ...codec, outPath], { onProgress });
+}
+
+// Silencios [{ start, end }] detectados con silencedetect
+// `window` = { start, duration } opcional: analiza sólo ese tramo (tiempos absolutos)
+async function detectSilences(filePath, noiseDb = -35, minSeconds = 0.3, window = null) {
+  const seek = window ? ["-ss", window.start, "-t", window.duration] : [];
+  const { stdout, stderr } = await runFfmpeg([
+    "-hide_banner", "-loglevel", "info", "-nostdin",
+    ...seek,
+    "-i", filePath,
+    "-af", `silencedetect=noise=${Number(noiseDb)}dB:d=${Number(minSeconds)}`,
+    "-f", "null", "-",
+  ]);
+  const out = `${stdout}\n${stderr}`;
+  const offset = window ? window.start : 0;
+  const silences = [];
+  const re = /silence_(start|end):\s*([-\d.]+)/g;
+  let m, open = null;
+  while ((m = re.exec(out)) !== null) {
+    const v = parseFloat(m[2]) + offset;
+    if (m[1] === "start") open = Math.max(0, v);
+    else if (open !== null) {
+      silences.push({ start: open, end: v });
+      open = null;
+    }
+  }
+  return silences;
+}
+
+// Preprocesado para ASR (body.cleanup): band-pass de voz, denoise FFT y normalización dinámica
+const SPEECH_CLEANUP_DEFAULTS = { bandpass: true, denoise: true, normalize: true };
+
+function validateCleanup(cleanup) {
+  if (cleanup === undefined || cleanup === null || typeof cleanup === "boolean") return null;
+  if (typeof cleanup !== "object") {
+    return "cleanup must be boolean or { bandpass?, denoise?, normalize? }";
+  }
+  const { bandpass, denoise, normalize } = cleanup;
+  if (
+    bandpass !== undefined &&
+    typeof bandpass !== "boolean" &&
+    (typeof bandpass !== "object" || !numberIn(bandpass.low, 20, 1000) || !numberIn(bandpass.high, 1000, 20000))
+  ) {
+    return "cleanup.bandpass must be boolean or { low: 20..1000, high: 1000..20000 } (Hz)";
+  }
+  if (denoise !== undefined && typeof denoise !== "boolean" && !numberIn(denoise, 1, 97)) {
+    return "cleanup.denoise must be boolean or the reduction in dB (1..97)";
+  }
+  if (normalize !== undefined && typeof normalize !== "boolean") {
+    return "cleanup.normalize must be boolean";
+  }
+  return null;
+}
+
+// Cadena -af; el lowpass se acota por debajo de Nyquist del sample rate de salida
+function speechCleanupFilters(cleanup, sampleRate) {
+  if (!cleanup) return [];
+  const c = cleanup === true ? SPEECH_CLEANUP_DEFAULTS : { ...SPEECH_CLEANUP_DEFAULTS, ...cleanup };
+  const filters = [];
+  if (c.bandpass) {
+    const low = c.bandpass.low ?? 80;
+    const high = Math.min(c.bandpass.high ?? 7600, Math.floor(sampleRate * 0.475));
+    filters.push(`highpass=f=${low}`, `lowpass=f=${high}`);
+  }
+  if (c.denoise) filters.push(`afftdn=nr=${typeof c.denoise === "number" ? c.denoise : 12}:nf=-50`);
+  if (c.normalize) filters.push("dynaudnorm=f=150:g=15");
+  return filters;
+}
+
+// remove_silence: true | { min_seconds, silence_db, keep_seconds }
+const REMOVE_SILENCE_DEFAULTS = { min_seconds: 1.0, silence_db: -40, keep_seconds: 0.25 };
+
+function validateRemoveSilence(rs) {
+  if (rs === undefined || rs === null || typeof rs === "boolean") return null;
+  if (typeof rs !== "object") {
+    return "remove_silence must be boolean or { min_seconds?, silence_db?, keep_seconds? }";
+  }
+  if (!numberIn(rs.min_seconds, 0.3, 60)) return "remove_silence.min_seconds must be between 0.3 and 60";
+  if (!numberIn(rs.silence_db, -100, 0)) return "remove_silence.silence_db must be between -100 and 0";
+  if (!numberIn(rs.keep_seconds, 0, 5)) return "remove_silence.keep_seconds must be between 0 and 5";
+  const { min_seconds, keep_seconds } = { ...REMOVE_SILENCE_DEFAULTS, ...rs };
+  if (keep_seconds * 2 >= min_seconds) return "remove_silence.keep_seconds must be < min_seconds / 2";
+  return null;
+}
+
+/**
+ * Quita del WAV (in place) los silencios de al menos `min_seconds`, dejando `keep_seconds`
+ * de cada lado para no pegar palabras. Devuelve la tabla para volver a tiempos de la fuente:
+ * segments = tramos conservados [{ processed_start, processed_end, original_start, original_end }].
+ */
+async function removeSilences(wavPath, duration, opts) {
+  const { min_seconds, silence_db, keep_seconds } = { ...REMOVE_SILENCE_DEFAULTS, ...opts };
+  const silences = await detectSilences(wavPath, silence_db, min_seconds);
+
+  const kept = [];
+  let cursor = 0;
+  for (const s of silences) {
+    // Silencio al principio/final: se quita entero
+    const cutStart = s.start <= 0.01 ? 0 : s.start + keep_seconds;
+    const cutEnd = s.end >= duration - 0.01 ? duration : s.end - keep_seconds;
+    if (cutEnd <= cutStart) continue;
+    if (cutStart > cursor) kept.push({ start: cursor, end: cutStart });
+    cursor = cutEnd;
+  }
+  if (cursor < duration) kept.push({ start: cursor, end: duration });
+
+  const r3 = (x) => Number(x.toFixed(3));
+  let t = 0;
+  const segments = kept.map((k) => {
+    const seg = {
+      processed_start: r3(t),
+      processed_end: r3(t + k.end - k.start),
+      original_start: r3(k.start),
+      original_end: r3(k.end),
+    };
+    t += k.end - k.start;
+    return seg;
+  });
+  const timeMap = {
+    original_duration_seconds: r3(duration),
+    processed_duration_seconds: r3(t),
+    removed_seconds: r3(duration - t),
+    segments,
+  };
+  if (kept.length === 1 && kept[0].start === 0 && kept[0].end === duration) return timeMap;
+  if (!kept.length) throw new Error("remove_silence: the audio is silent end to end");
+
+  // aselect con un between() por tramo; va en archivo porque puede ser largo
+  const dir = tmp.dirSync({ unsafeCleanup: true });
+  try {
+    const script = `${dir.name}/select.txt`;
+    const out = `${dir.name}/out.wav`;
+    const expr = kept.map((k) => `between(t,${k.start.toFixed(3)},${k.end.toFixed(3)})`).join("+");
+    fs.writeFileSync(script, `aselect='${expr}',asetpts=N/SR/TB`);
+    await runFfmpeg([
+      ...FFMPEG_COMMON, "-i", wavPath, "-filter_script:a", script, "-c:a", "pcm_s16le", out,
+    ]);
+    fs.copyFileSync(out, wavPath);
+  } finally {
+    dir.removeCallback();
+  }
+  return timeMap;
+}
+
+// Tiempo del audio procesado => tiempo en la fuente (sin time_map, el mismo)
+function toOriginalTime(timeMap, t) {
+  const segs = timeMap?.segments;
+  if (!segs?.length) return t;
+  const seg = segs.find((s) => t < s.processed_end) || segs[segs.length - 1];
+  return Number((seg.original_start + Math.max(0, t - seg.processed_start)).toFixed(3));
+}
+
+/**
+ * Plan de chunks sobre [0, duration] (tiempos redondeados a ms, exactos en el corte):
+ *  - cada chunk dura como máximo `maxSeconds`, solape incluido;
+ *  - el siguiente empieza `overlap` segundos antes del final del anterior;
+ *  - con `silences`, cada corte se mueve al centro del silencio más cercano dentro de
+ *    [corte - tolerance, corte]; sólo hacia atrás, para no superar el tamaño objetivo.
+ */
+function planChunks(duration, maxSeconds, { overlap = 0, silences = null, tolerance = 0 } = {}) {
+  const r3 = (x) => Math.round(x * 1000) / 1000;
+  const plan = [];
+  let start = 0;
+  while (start < duration) {
+    let end = Math.min(duration, start + maxSeconds);
+    let boundary = end >= duration ? "end" : "fixed";
+    if (boundary === "fixed" && silences?.length && tolerance > 0) {
+      const lo = Math.max(start + overlap + 1, end - tolerance);
+      let best = null;
+      for (const sil of silences) {
+        const mid = (sil.start + sil.end) / 2;
+        if (mid >= lo && mid <= end && (best === null || mid > best)) best = mid;
+      }
+      if (best !== null) {
+        end = best;
+        boundary = "silence";
+      }
+    }
+    end = boundary === "end" ? duration : r3(end);
+    plan.push({ start, end, boundary });
+    if (boundary === "end") break;
+    start = r3(end - overlap);
+  }
+  return plan;
+}
+
+// Cortar/codificar el maestro WAV según el plan; el seek en WAV es exacto a la muestra
+async function encodeAudioChunks(wavPath, plan, fmt, kbps) {
+  const dir = tmp.dirSync({ unsafeCleanup: true });
+  const files = [];
+  try {
+    for (let i = 0; i < plan.length; i++) {
+      const { start, end } = plan[i];
+      const name = `seg_${String(i).padStart(3, "0")}.${AUDIO_FORMATS[fmt].ext}`;
+      await encodeAudio(wavPath, `${dir.name}/${name}`, fmt, kbps, start, end - start);
+      files.push(name);
+    }
+  } catch (e) {
+    dir.removeCallback();
+    throw e;
+  }
+  return { dir, files };
+}
+
+// ========= HELPERS PROBE =========
+// "30000/1001" => 29.97
+function parseRate(r) {
+  if (!r || typeof r !== "string") return null;
+  const [n, d] = r.split("/").map(Number);
+  if (!isFinite(n) || !isFinite(d) || d === 0 || n === 0) return null;
+  return Number((n / d).toFixed(3));
+}
+
+function numOrNull(v) {
+  const n = Number(v);
+  return v !== undefined && v !== null && v !== "" && isFinite(n) ? n : null;
+}
+
+function streamLanguage(s) {
+  return (s.tags?.language || s.tags?.LANGUAGE || s.tags?.Language || "").toLowerCase() || null;
+}
+
+// Rotación: Display Matrix (side_data) o tag "rotate" (ffmpeg antiguo)
+function streamRotation(s) {
+  const sd = (s.side_data_list || []).find((x) => typeof x.rotation === "number");
+  const rot = sd ? sd.rotation : numOrNull(s.tags?.rotate);
+  if (rot === null || rot === undefined) return 0;
+  return ((Math.round(-rot) % 360) + 360) % 360; // sentido horario, 0..359
+}
+
+async function ffprobeJson(filePath) {
+  const { stdout } = await runFfprobe([
+    "-v", "error", "-show_format", "-show_streams", "-show_chapters", "-of", "json", filePath,
+  ]);
+  return JSON.parse(stdout || "{}");
+}
+
+// Normaliza la salida de ffprobe a { format, video, audio, subtitles, chapters }
+function normalizeProbe(json) {
+  const streams = json.streams || [];
+  const fmt = json.format || {};
+  const base = (s) => ({
+    index: s.index,
+    codec: s.codec_name || null,
+    codec_long_name: s.codec_long_name || null,
+    language: streamLanguage(s),
+    title: s.tags?.title || null,
+    default: s.disposition?.default === 1,
+  });
+
+  const video = streams
+    .filter((s) => s.codec_type === "video")
+    .map((s) => {
+      const rotation = streamRotation(s);
+      const swap = rotation === 90 || rotation === 270;
+      return {
+        ...base(s),
+        profile: s.profile || null,
+        pix_fmt: s.pix_fmt || null,
+        width: s.width || null,
+        height: s.height || null,
+        display_width: (swap ? s.height : s.width) || null,
+        display_height: (swap ? s.width : s.height) || null,
+        sample_aspect_ratio: s.sample_aspect_ratio || null,
+        display_aspect_ratio: s.display_aspect_ratio || null,
+        rotation,
+        fps: parseRate(s.avg_frame_rate) || parseRate(s.r_frame_rate),
+        r_frame_rate: s.r_frame_rate || null,
+        bit_rate: numOrNull(s.bit_rate),
+        duration: numOrNull(s.duration),
+        frames: numOrNull(s.nb_frames),
+        color_space: s.color_space || null,
+        attached_pic: s.disposition?.attached_pic === 1, // carátulas (mp3, m4a)
+      };
+    });
+
+  const audio = streams
+    .filter((s) => s.codec_type === "audio")
+    .map((s) => ({
+      ...base(s),
+      profile: s.profile || null,
+      channels: s.channels || null,
+      channel_layout: s.channel_layout || null,
+      sample_rate: numOrNull(s.sample_rate),
+      bit_rate: numOrNull(s.bit_rate),
+      duration: numOrNull(s.duration),
+    }));
+
+  const subtitles = streams
+    .filter((s) => s.codec_type === "subtitle")
+    .map((s) => ({ ...base(s), forced: s.disposition?.forced === 1 }));
+
+  const chapters = (json.chapters || []).map((c, i) => ({
+    index: i,
+    id: c.id,
+    start: numOrNull(c.start_time),
+    end: numOrNull(c.end_time),
+    title: c.tags?.title || null,
+  }));
+
+  return {
+    format: {
+      container: fmt.format_name || null,
+      container_long_name: fmt.format_long_name || null,
+      duration: numOrNull(fmt.duration),
+      size_bytes: numOrNull(fmt.size),
+      bit_rate: numOrNull(fmt.bit_rate),
+      start_time: numOrNull(fmt.start_time),
+      streams: fmt.nb_streams ?? streams.length,
+      tags: fmt.tags || {},
+    },
+    video,
+    audio,
+    subtitles,
+    chapters,
+  };
+}
+
+// Índice de keyframes (pts en segundos) leyendo paquetes, sin decodificar
+// `interval` = { start, end } opcional (ffprobe -read_intervals)
+async function ffprobeKeyframes(filePath, maxCount = 20000, interval = null) {
+  const read = interval ? ["-read_intervals", `${Math.max(0, interval.start)}%${interval.end}`] : [];
+  // Recorre todos los paquetes: en fuentes largas tarda como un ffmpeg, no como un probe
+  const { stdout } = await runFfprobe(
+    [
+      "-v", "error", ...read,
+      "-select_streams", "v:0", "-show_entries", "packet=pts_time,flags", "-of", "csv=p=0",
+      filePath,
+    ],
+    { timeoutMs: FFMPEG_TIMEOUT_MS }
+  );
+  const times = [];
+  for (const line of String(stdout).split("\n")) {
+    const [pts, flags] = line.trim().split(",");
+    if (!flags || !flags.startsWith("K")) continue;
+    const t = parseFloat(pts);
+    if (isFinite(t)) times.push(Number(t.toFixed(3)));
+  }
+  times.sort((a, b) => a - b);
+  return { total: times.length, keyframes: times.slice(0, maxCount), truncated: times.length > maxCount };
+}
+
+// Cambios de plano [{ t, score }] con el score de escena de ffmpeg (frames reducidos para ir rápido)
+// `window` = { start, duration } opcional (tiempos absolutos)
+async function detectSceneChanges(filePath, threshold = 0.3, window = null) {
+  const seek = window ? ["-ss", window.start, "-t", window.duration] : [];
+  const vf = `scale=320:-2,select='gt(scene,${Number(threshold)})',metadata=print:file=-`;
+  const { stdout, stderr } = await runFfmpeg([
+    "-hide_banner", "-loglevel", "info", "-nostdin",
+    ...seek,
+    "-i", filePath,
+    "-map", "0:v:0", "-vf", vf, "-an", "-f", "null", "-",
+  ]);
+  const out = `${stdout}\n${stderr}`;
+  const offset = window ? window.start : 0;
+  const changes = [];
+  const re = /pts_time:([\d.]+)[\s\S]*?lavfi\.scene_score=([\d.]+)/g;
+  let m;
+  while ((m = re.exec(out)) !== null) {
+    changes.push({
+      t: Number((parseFloat(m[1]) + offset).toFixed(3)),
+      score: Number(parseFloat(m[2]).toFixed(4)),
+    });
+  }
+  return changes;
+}
+
+// ========= HELPERS TRANSCRIPCIÓN / SUBTÍTULOS =========
+const TRANSCRIBE_API_URL = (
+  process.env.TRANSCRIBE_API_URL || "https://api.openai.com/v1"
+).replace(/\/+$/, "");
+const TRANSCRIBE_API_KEY = process.env.TRANSCRIBE_API_KEY || process.env.OPENAI_API_KEY || "";
+const TRANSCRIBE_MODEL = process.env.TRANSCRIBE_MODEL || "whisper-1";
+const TRANSCRIBE_TIMEOUT_MS = Number(process.env.TRANSCRIBE_TIMEOUT_MS || 10 * 60 * 1000);
+const TRANSCRIBE_RETRIES = [2000, 8000]; // espera antes de cada reintento (ms)
+
+// 3725.5 => "01:02:05,500" (SRT) / "01:02:05.500" (VTT)
+function fmtTimestamp(t, sep = ",") {
+  const ms = Math.max(0, Math.round(Number(t) * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+function segmentsToSrt(segments) {
+  return segments
+    .map((s, i) => `${i + 1}\n${fmtTimestamp(s.start)} --> ${fmtTimestamp(s.end)}\n${s.text}\n`)
+    .join("\n");
+}
+
+function segmentsToVtt(segments) {
+  const cues = segments.map(
+    (s) => `${fmtTimestamp(s.start, ".")} --> ${fmtTimestamp(s.end, ".")}\n${s.text}\n`
+  );
+  return `WEBVTT\n\n${cues.join("\n")}`;
+}
+
+// POST multipart a <TRANSCRIBE_API_URL>/audio/transcriptions (OpenAI / whisper.cpp server)
+async function transcribeFile(filePath, filename, contentType, opts = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const form = new FormData();
+    form.append("file", fs.createReadStream(filePath), { filename, contentType });
+    form.append("model", opts.model || TRANSCRIBE_MODEL);
+    form.append("response_format", "verbose_json");
+    form.append("timestamp_granularities[]", "segment");
+    if (opts.words) form.append("timestamp_granularities[]", "word");
+    if (opts.language) form.append("language", opts.language);
+    if (opts.prompt) form.append("prompt", opts.prompt);
+    if (opts.temperature !== undefined) form.append("temperature", String(opts.temperature));
+
+    const headers = form.getHeaders();
+    if (TRANSCRIBE_API_KEY) headers.Authorization = `Bearer ${TRANSCRIBE_API_KEY}`;
+    try {
+      const resp = await axios.post(`${TRANSCRIBE_API_URL}/audio/transcriptions`, form, {
+        headers,
+        timeout: TRANSCRIBE_TIMEOUT_MS,
+        signal: runContext.getStore()?.signal,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+      });
+      return typeof resp.data === "string" ? { text: resp.data } : resp.data;
+    } catch (e) {
+      const status = e.response?.status;
+      const retryable = !axios.isCancel(e) && (!status || status === 429 || status >= 500);
+      if (!retryable || attempt >= TRANSCRIBE_RETRIES.length) throw e;
+      log("TRANSCRIBE_RETRY", filename, status || e.code, attempt + 1);
+      await new Promise((ok) => setTimeout(ok, TRANSCRIBE_RETRIES[attempt]));
+    }
+  }
+}
+
+/**
+ * Une las transcripciones por chunk en una sola línea de tiempo.
+ * Cada chunk aporta los segmentos cuyo centro cae dentro de su ventana; el límite entre
+ * dos chunks solapados es el punto medio del solape, así no se duplican segmentos.
+ * `chunks` = [{ start, end, data }] con `data` la respuesta verbose_json del chunk.
+ */
+function stitchTranscripts(chunks) {
+  const segments = [];
+  const words = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const { start, end, data } = chunks[i];
+    const prev = chunks[i - 1];
+    const next = chunks[i + 1];
+    const lo = prev ? (start + prev.end) / 2 : -Infinity;
+    const hi = next ? (next.start + end) / 2 : Infinity;
+    const inWindow = (a, b) => {
+      const mid = (a + b) / 2;
+      return mid >= lo && mid < hi;
+    };
+
+    const segs =
+      Array.isArray(data?.segments) && data.segments.length
+        ? data.segments
+        : [{ start: 0, end: end - start, text: data?.text || "" }];
+    for (const s of segs) {
+      const a = start + Number(s.start || 0);
+      const b = Math.min(end, start + Number(s.end || 0));
+      const text = String(s.text || "").trim();
+      if (!text || !inWindow(a, b)) continue;
+      segments.push({ start: Number(a.toFixed(3)), end: Number(Math.max(a, b).toFixed(3)), text });
+    }
+    for (const w of data?.words || []) {
+      const a = start + Number(w.start || 0);
+      const b = start + Number(w.end || 0);
+      if (!inWindow(a, b)) continue;
+      words.push({
+        start: Number(a.toFixed(3)),
+        end: Number(b.toFixed(3)),
+        word: String(w.word || "").trim(),
+      });
+    }
+  }
+  segments.sort((x, y) => x.start - y.start);
+  words.sort((x, y) => x.start - y.start);
+  segments.forEach((s, i) => (s.index = i));
+  return { segments, words };
+}
+
+// ========= CAPTIONS (SRT/VTT/ASS/segmentos => ASS con estilo) =========
+// Presets de estilo; tamaños/márgenes en px del frame de salida (PlayResX/Y = frame)
+const CAPTION_PRESETS = {
+  default: {
+    font: "DejaVu Sans",
+    size: 0.045, // fracción de la altura del frame
+    bold: true,
+    color: "#FFFFFF",
+    highlight_color: "#FFD400",
+    outline_color: "#000000",
+    outline: 3,
+    shadow: 0,
+    box: false,
+    position: "bottom",
+  },
+  bold_center: {
+    font: "DejaVu Sans",
+    size: 0.06,
+    bold: true,
+    color: "#FFFFFF",
+    highlight_color: "#00E5FF",
+    outline_color: "#000000",
+    outline: 5,
+    shadow: 1,
+    box: false,
+    position: "center",
+  },
+  minimal: {
+    font: "DejaVu Sans",
+    size: 0.038,
+    bold: false,
+    color: "#FFFFFF",
+    highlight_color: "#FFD400",
+    outline_color: "#000000",
+    outline: 2,
+    shadow: 0,
+    box: false,
+    position: "bottom",
+  },
+  boxed: {
+    font: "DejaVu Sans",
+    size: 0.042,
+    bold: true,
+    color: "#FFFFFF",
+    highlight_color: "#FFD400",
+    outline_color: "#000000B0", // fondo de la caja
+    outline: 12,
+    shadow: 0,
+    box: true,
+    position: "bottom",
+  },
+};
+const CAPTION_POSITIONS = { bottom: 2, center: 5, top: 8 }; // alineación ASS (numpad)
+
+// "01:02:03,456" | "02:03.456" | "0:01:02.03" (ASS) => segundos
+function parseSubtitleTime(str) {
+  const parts = String(str).trim().replace(",", ".").split(":");
+  let t = 0;
+  for (const p of parts) t = t * 60 + parseFloat(p);
+  return isFinite(t) ? t : null;
+}
+
+function detectSubtitleFormat(text) {
+  const head = String(text).trimStart();
+  if (/^WEBVTT/.test(head)) return "vtt";
+  if (/^\[Script Info\]/im.test(head) || /^Dialogue:/m.test(head)) return "ass";
+  return "srt";
+}
+
+// SRT o VTT => [{ start, end, text }]
+function parseSrtVtt(text) {
+  const cues = [];
+  const blocks = String(text).replace(/\r/g, "").split(/\n{2,}/);
+  for (const block of blocks) {
+    const lines = block.split("\n");
+    const i = lines.findIndex((l) => l.includes("-->"));
+    if (i < 0) continue;
+    const [a, b] = lines[i].split("-->");
+    const start = parseSubtitleTime(a);
+    const end = parseSubtitleTime(String(b).trim().split(/\s+/)[0]); // VTT: settings tras el tiempo
+    const body = lines
+      .slice(i + 1)
+      .join("\n")
+      .replace(/<[^>]+>/g, "") // tags VTT/HTML
+      .trim();
+    if (start === null || end === null || !body) continue;
+    cues.push({ start, end, text: body });
+  }
+  return cues;
+}
+
+// 5.5 => "0:00:05.50" (centésimas, formato de tiempo ASS)
+function fmtAssTime(t) {
+  const cs = Math.max(0, Math.round(t * 100));
+  const h = Math.floor(cs / 360000);
+  const m = Math.floor((cs % 360000) / 6000);
+  const s = Math.floor((cs % 6000) / 100);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${h}:${pad(m)}:${pad(s)}.${pad(cs % 100)}`;
+}
+
+// ASS => mismo script con los Dialogue desplazados `offset` segundos (estilos del usuario intactos)
+function shiftAss(text, offset, duration) {
+  return String(text)
+    .replace(/\r/g, "")
+    .split("\n")
+    .map((line) => {
+      const m = /^(Dialogue:\s*[^,]*,)([^,]*),([^,]*),(.*)$/.exec(line);
+      if (!m) return line;
+      const a = parseSubtitleTime(m[2]) + offset;
+      const b = parseSubtitleTime(m[3]) + offset;
+      if (b <= 0 || a >= duration) return null;
+      return `${m[1]}${fmtAssTime(Math.max(0, a))},${fmtAssTime(Math.min(duration, b))},${m[4]}`;
+    })
+    .filter((l) => l !== null)
+    .join("\n");
+}
+
+// "#RRGGBB[AA]" => "&HAABBGGRR" (en ASS el alfa es transparencia: 00 = opaco)
+function assColor(hex, fallback = "&H00FFFFFF") {
+  const m = /^#?([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(String(hex || ""));
+  if (!m) return fallback;
+  const [r, g, b] = [0, 2, 4].map((i) => m[1].slice(i, i + 2));
+  const alpha = m[2] ? (255 - parseInt(m[2], 16)).toString(16).padStart(2, "0") : "00";
+  return `&H${alpha}${b}${g}${r}`.toUpperCase();
+}
+
+function assEscape(text) {
+  return String(text).replace(/[{}]/g, "").replace(/\r?\n/g, "\\N");
+}
+
+/**
+ * Descarga/parsea la entrada de captions y devuelve
+ * { kind: "ass", text } o { kind: "cues", cues: [{ start, end, text, words? }] }.
+ * Acepta: URL, "driver://bucket/path", texto inline, { url }, { source }, { text, format? },
+ * [{ start, end, text, words? }]
+ * o { segments, words } (salida de /transcribe).
+ */
+async function loadCaptions(input) {
+  let cues = null;
+  let text = null;
+  let words = null;
+  if (Array.isArray(input)) cues = input;
+  else if (typeof input === "string") {
+    if (isHttpUrl(input)) text = await readRemoteText({ video_url: input });
+    else if (parseSource(input)) text = await readRemoteText({ source: input });
+    else text = input; // SRT/VTT/ASS inline
+  }
+  else if (input?.segments) {
+    cues = input.segments;
+    words = input.words || null;
+  } else if (input?.text) text = input.text;
+  else if (input?.url) text = await readRemoteText({ video_url: input.url });
+  else if (input?.source) text = await readRemoteText({ source: input.source });
+
+  if (text !== null) {
+    const fmt = input?.format || detectSubtitleFormat(text);
+    if (fmt === "ass") return { kind: "ass", text };
+    cues = parseSrtVtt(text);
+  }
+
+  cues = (cues || [])
+    .map((c) => ({
+      start: Number(c.start),
+      end: Number(c.end),
+      text: String(c.text || "").trim(),
+      words: Array.isArray(c.words) ? c.words : null,
+    }))
+    .filter((c) => isFinite(c.start) && isFinite(c.end) && c.end > c.start && c.text);
+
+  // Palabras sueltas ({ segments, words }) => asignar a su cue por tiempo
+  if (words?.length) {
+    for (const c of cues) {
+      c.words = words.filter((w) => {
+        const mid = (Number(w.start) + Number(w.end)) / 2;
+        return mid >= c.start && mid < c.end;
+      });
+    }
+  }
+  return { kind: "cues", cues };
+}
+
+async function readRemoteText(input) {
+  const f = await downloadToTempSmart(input, ".sub", "text");
+  try {
+    return fs.readFileSync(f.name, "utf8");
+  } finally {
+    f.removeCallback?.();
+  }
+}
+
+// Cues (ya en tiempo del clip) => script ASS con el estilo pedido; karaoke si hay palabras
+function buildAss(cues, style, width, height) {
+  const size = Math.round(style.size < 1 ? style.size * height : style.size);
+  const alignment = CAPTION_POSITIONS[style.position] || 2;
+  const marginV = Math.round(style.margin_v ?? height * 0.06);
+  const marginH = Math.round(style.margin_h ?? width * 0.06);
+  const karaoke = style.karaoke !== false;
+
+  // Karaoke: \k pinta con SecondaryColour hasta su tiempo y luego con PrimaryColour
+  const base = assColor(style.color);
+  const highlight = assColor(style.highlight_color, base);
+  const outline = assColor(style.outline_color, "&H00000000");
+  const styleLine = (name, primary, secondary) =>
+    [
+      `Style: ${name}`,
+      style.font,
+      size,
+      primary,
+      secondary,
+      outline,
+      outline,
+      style.bold ? -1 : 0,
+      "0,0,0,100,100,0,0",
+      style.box ? 3 : 1, // 3 = caja opaca
+      style.outline,
+      style.shadow,
+      alignment,
+      marginH,
+      marginH,
+      marginV,
+      1,
+    ].join(",");
+
+  const header = [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    "WrapStyle: 0",
+    "ScaledBorderAndShadow: yes",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    styleLine("Default", base, base),
+    styleLine("Karaoke", highlight, base),
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+  ];
+
+  const events = cues.map((c) => {
+    const a = fmtAssTime(c.start);
+    const b = fmtAssTime(c.end);
+    if (!karaoke || !c.words?.length) {
+      return `Dialogue: 0,${a},${b},Default,,0,0,0,,${assEscape(c.text)}`;
+    }
+    let t = c.start;
+    const parts = [];
+    for (const w of c.words) {
+      const ws = Math.max(t, w.start);
+      const we = Math.max(ws, w.end);
+      if (ws > t) parts.push(`{\\k${Math.round((ws - t) * 100)}}`);
+      const word = assEscape(String(w.word || w.text || "").trim());
+      parts.push(`{\\k${Math.round((we - ws) * 100)}}${word} `);
+      t = we;
+    }
+    return `Dialogue: 0,${a},${b},Karaoke,,0,0,0,,${parts.join("").trim()}`;
+  });
+  return `${header.join("\n")}\n${events.join("\n")}\n`;
+}
+
+/**
+ * Prepara el archivo de subtítulos para quemar en un clip [start_time, end_time].
+ * Los tiempos vienen en la línea de tiempo de la fuente (timing: "source", default)
+ * o ya relativos al clip (timing: "clip"). Devuelve la ruta .ass o null si no hay cues.
+ */
+async function prepareCaptions(captions, { start_time, end_time, width, height, format }) {
+  const input = captions?.input ?? captions?.cues ?? captions;
+  const loaded = await loadCaptions(input);
+  const offset = captions?.timing === "clip" ? 0 : -start_time;
+  const duration = end_time - start_time;
+  const assPath = `/tmp/captions_${uuidv4()}.ass`;
+
+  if (loaded.kind === "ass") {
+    fs.writeFileSync(assPath, shiftAss(loaded.text, offset, duration));
+    return assPath;
+  }
+
+  const cues = loaded.cues
+    .map((c) => ({
+      ...c,
+      start: Math.max(0, c.start + offset),
+      end: Math.min(duration, c.end + offset),
+      words: c.words
+        ?.map((w) => ({ ...w, start: Number(w.start) + offset, end: Number(w.end) + offset }))
+        .filter((w) => isFinite(w.start) && isFinite(w.end)),
+    }))
+    .filter((c) => c.end > c.start);
+  if (!cues.length) return null;
+
+  const style = { ...CAPTION_PRESETS[captions?.preset || "default"], ...(captions?.style || {}) };
+  // Formato vertical: márgenes seguros para no quedar bajo la UI de TikTok/Reels/Shorts
+  if (format === "vertical_9_16" && captions?.safe_area !== false) {
+    style.margin_v = style.margin_v ?? Math.round(height * 0.18);
+    style.margin_h = style.margin_h ?? Math.round(width * 0.08);
+  }
+  fs.writeFileSync(assPath, buildAss(cues, style, width, height));
+  return assPath;
+}
+
+function validateCaptions(captions) {
+  if (captions === undefined || captions === null) return null;
+  const input = captions?.input ?? captions?.cues ?? captions;
+  const ok =
+    typeof input === "string" ||
+    Array.isArray(input) ||
+    (input && (input.url || input.source || input.text || input.segments));
+  if (!ok) {
+    return "filters.captions must be a URL, { url }, { source }, { text }, [{ start, end, text }] or { segments }";
+  }
+  if (captions?.preset && !CAPTION_PRESETS[captions.preset]) {
+    return `Unknown captions preset: ${captions.preset} (${Object.keys(CAPTION_PRESETS).join("|")})`;
+  }
+  return validateCaptionStyle(captions?.style);
+}
+
+// Rangos de style: size < 1 es fracción de la altura, >= 1 px; márgenes en px del frame
+const CAPTION_STYLE_RANGES = {
+  size: [0.01, 400],
+  outline: [0, 50],
+  shadow: [0, 50],
+  margin_v: [0, 4000],
+  margin_h: [0, 4000],
+};
+const CAPTION_STYLE_FLAGS = ["bold", "box", "karaoke"];
+const CAPTION_STYLE_COLORS = ["color", "highlight_color", "outline_color"];
+
+// Todo lo de style termina en la línea Style: del ASS (campos separados por coma)
+function validateCaptionStyle(style) {
+  if (style === undefined || style === null) return null;
+  if (typeof style !== "object" || Array.isArray(style)) return "filters.captions.style must be an object";
+  const known = [
+    "font",
+    "position",
+    ...Object.keys(CAPTION_STYLE_RANGES),
+    ...CAPTION_STYLE_FLAGS,
+    ...CAPTION_STYLE_COLORS,
+  ];
+  const unknown = Object.keys(style).filter((k) => !known.includes(k));
+  if (unknown.length) return `Unknown captions.style keys: ${unknown.join(", ")} (${known.join("|")})`;
+  if (style.font !== undefined) {
+    if (typeof style.font !== "string" || !style.font.trim() || style.font.length > 100) {
+      return "captions.style.font must be a non-empty string (max 100 chars)";
+    }
+    if (/[,\r\n]/.test(style.font)) return "captions.style.font must not contain commas or line breaks";
+  }
+  if (style.position !== undefined && !CAPTION_POSITIONS[style.position]) {
+    return `Unknown captions position: ${style.position} (${Object.keys(CAPTION_POSITIONS).join("|")})`;
+  }
+  for (const [k, [min, max]] of Object.entries(CAPTION_STYLE_RANGES)) {
+    if (!numberIn(style[k], min, max)) return `captions.style.${k} must be a number between ${min} and ${max}`;
+  }
+  for (const k of CAPTION_STYLE_FLAGS) {
+    if (style[k] !== undefined && typeof style[k] !== "boolean") return `captions.style.${k} must be a boolean`;
+  }
+  for (const k of CAPTION_STYLE_COLORS) {
+    if (style[k] !== undefined && !/^#[0-9a-f]{6}([0-9a-f]{2})?$/i.test(String(style[k]))) {
+      return `captions.style.${k} must be a color "#RRGGBB" or "#RRGGBBAA"`;
+    }
+  }
+  return null;
+}
+
+// ========= REFRAME (vertical_9_16 / square_1_1) =========
+const FORMAT_SIZES = {
+  vertical_9_16: { width: 1080, height: 1920 },
+  square_1_1: { width: 1080, height: 1080 },
+};
+const REFRAME_MODES = ["blur", "pad", "fill", "pan", "auto"];
+const REFRAME_KEYS = ["mode", "focus", "path", "timing", "remove_bars"];
+const REFRAME_TIMINGS = ["clip", "source"]; // path.t relativo al clip (default) o a la fuente
+const REFRAME_PATH_MAX = 200;
+
+// Barras negras "quemadas": cropdetect sobre los primeros segundos del rango
+async function detectCropBars(srcPath, start, duration) {
+  const { stdout, stderr } = await runFfmpeg([
+    "-hide_banner", "-loglevel", "info", "-nostdin",
+    "-ss", start, "-t", Math.min(duration, 20),
+    "-i", srcPath,
+    "-map", "0:v:0", "-vf", "cropdetect=limit=24:round=2:reset=0", "-an", "-f", "null", "-",
+  ]);
+  const all = [...`${stdout}\n${stderr}`.matchAll(/crop=(\d+):(\d+):(\d+):(\d+)/g)];
+  if (!all.length) return null;
+  const [, w, h, x, y] = all[all.length - 1].map(Number); // reset=0 => el último es el acumulado
+  return w > 0 && h > 0 ? { w, h, x, y } : null;
+}
+
+// Interpolación lineal por tramos de keyframes [{ t, x }] como expresión ffmpeg en función de t
+function lerpExpr(keys, prop) {
+  let expr = `${keys[keys.length - 1][prop]}`;
+  for (let i = keys.length - 2; i >= 0; i--) {
+    const a = keys[i];
+    const b = keys[i + 1];
+    const delta = Number((b[prop] - a[prop]).toFixed(6));
+    const span = Number((b.t - a.t).toFixed(3));
+    const seg = `${a[prop]}+(${delta})*(t-${a.t})/${span}`;
+    expr = `if(lt(t,${b.t}),${seg},${expr})`;
+  }
+  return `if(lt(t,${keys[0].t}),${keys[0][prop]},${expr})`;
+}
+
+// Crop al aspecto W:H centrado en (fx, fy) (fracciones 0..1 o expresiones en t), luego escala
+function fillCropFilter(width, height, fx, fy) {
+  return [
+    `crop=w='min(iw,ih*${width}/${height})':h='min(ih,iw*${height}/${width})'`,
+    `:x='max(0,min(iw-ow,(${fx})*iw-ow/2))':y='max(0,min(ih-oh,(${fy})*ih-oh/2))'`,
+    `,scale=${width}:${height},setsar=1`,
+  ].join("");
+}
+
+function validateReframe(filters) {
+  const rf = filters?.reframe;
+  if (!rf) return null;
+  if (!FORMAT_SIZES[filters.format]) {
+    return "filters.reframe requires format vertical_9_16 or square_1_1";
+  }
+  if (typeof rf !== "object" || Array.isArray(rf)) return "filters.reframe must be an object";
+  const unknown = Object.keys(rf).filter((k) => !REFRAME_KEYS.includes(k));
+  if (unknown.length) return `Unknown reframe keys: ${unknown.join(", ")} (${REFRAME_KEYS.join("|")})`;
+  if (rf.mode && !REFRAME_MODES.includes(rf.mode)) {
+    return `Unknown reframe mode: ${rf.mode} (${REFRAME_MODES.join("|")})`;
+  }
+  if (rf.timing !== undefined && !REFRAME_TIMINGS.includes(rf.timing)) {
+    return `reframe.timing must be ${REFRAME_TIMINGS.join("|")}`;
+  }
+  if (rf.remove_bars !== undefined && typeof rf.remove_bars !== "boolean") {
+    return "reframe.remove_bars must be a boolean";
+  }
+  const frac = (v) => v === undefined || (typeof v === "number" && v >= 0 && v <= 1);
+  if (rf.focus !== undefined && (typeof rf.focus !== "object" || rf.focus === null)) {
+    return "reframe.focus must be { x, y }";
+  }
+  if (!frac(rf.focus?.x) || !frac(rf.focus?.y)) return "reframe.focus x/y must be between 0 and 1";
+  if (rf.mode === "pan") {
+    const path = rf.path;
+    if (!Array.isArray(path) || !path.length || path.length > REFRAME_PATH_MAX) {
+      return `reframe.path must be a non-empty array of { t, x, y } (max ${REFRAME_PATH_MAX})`;
+    }
+    // t termina en la expresión de lerpExpr: número finito, en segundos (clip o fuente según timing)
+    const point = (k) =>
+      k &&
+      typeof k === "object" &&
+      Object.keys(k).every((key) => ["t", "x", "y"].includes(key)) &&
+      typeof k.t === "number" &&
+      numberIn(k.t, 0, 86400) &&
+      frac(k.x) &&
+      frac(k.y);
+    if (!path.every(point)) {
+      return "reframe.path items must be { t, x, y } with t in [0, 86400] seconds and x/y between 0 and 1";
+    }
+  }
+  return null;
+}
+
+/**
+ * Filtro de video para llevar la fuente a FORMAT_SIZES[format]:
+ *  - blur (default vertical): fondo desenfocado + video completo encima
+ *  - pad (default square): video completo con barras negras
+ *  - fill: llena el frame recortando alrededor de focus { x, y } (0..1, default centro)
+ *  - pan: como fill pero con el foco interpolado por path [{ t, x, y }] (t relativo al clip)
+ *  - auto: quita barras negras con cropdetect y luego fill
+ * `remove_bars: true` aplica cropdetect también a los otros modos.
+ */
+async function buildReframeFilter(srcPath, filters, start_time, end_time) {
+  const { width: W, height: H } = FORMAT_SIZES[filters.format];
+  const rf = filters.reframe || {};
+  const mode = rf.mode || (filters.format === "vertical_9_16" ? "blur" : "pad");
+
+  const bars =
+    mode === "auto" || rf.remove_bars
+      ? await detectCropBars(srcPath, start_time, end_time - start_time)
+      : null;
+  const pre = bars ? `crop=${bars.w}:${bars.h}:${bars.x}:${bars.y},` : "";
+  const info = { mode, bars };
+
+  // Área visible del video en el frame de salida (blur/pad dejan fondo alrededor)
+  info.content = { x: 0, y: 0, w: W, h: H };
+  if (mode === "blur" || mode === "pad") {
+    const v = normalizeProbe(await ffprobeJson(srcPath)).video.find((x) => !x.attached_pic);
+    const sw = bars?.w || v?.display_width || W;
+    const sh = bars?.h || v?.display_height || H;
+    const k = Math.min(W / sw, H / sh);
+    const cw = Math.round(sw * k);
+    const ch = Math.round(sh * k);
+    info.content = { x: Math.round((W - cw) / 2), y: Math.round((H - ch) / 2), w: cw, h: ch };
+  }
+
+  if (mode === "blur") {
+    return {
+      info,
+      filter: [
+        `[0:v]${pre}split[src_bg][src_fg]`,
+        `[src_bg]scale=${W}:${H}:force_original_aspect_ratio=increase,crop=${W}:${H},boxblur=luma_radius=20:luma_power=1[bg]`,
+        `[src_fg]scale=${W}:${H}:force_original_aspect_ratio=decrease[fg]`,
+        `[bg][fg]overlay=(W-w)/2:(H-h)/2,setsar=1`,
+      ].join(";"),
+    };
+  }
+  if (mode === "pad") {
+    return {
+      info,
+      filter: `${pre}scale=${W}:${H}:force_original_aspect_ratio=decrease,pad=${W}:${H}:(ow-iw)/2:(oh-ih)/2:black,setsar=1`,
+    };
+  }
+  if (mode === "pan") {
+    const offset = rf.timing === "source" ? start_time : 0;
+    const keys = [...rf.path]
+      .map((k) => ({ t: Number((k.t - offset).toFixed(3)), x: k.x ?? 0.5, y: k.y ?? 0.5 }))
+      .sort((a, b) => a.t - b.t)
+      .filter((k, i, arr) => i === 0 || k.t > arr[i - 1].t);
+    info.path = keys;
+    const filter = fillCropFilter(W, H, lerpExpr(keys, "x"), lerpExpr(keys, "y"));
+    return { info, filter: `${pre}${filter}` };
+  }
+  // fill | auto
+  const fx = rf.focus?.x ?? 0.5;
+  const fy = rf.focus?.y ?? 0.5;
+  info.focus = { x: fx, y: fy };
+  return { info, filter: `${pre}${fillCropFilter(W, H, fx, fy)}` };
+}
+
+// ========= OVERLAYS (logo / marca de agua / textos) =========
+// Posiciones y tamaños son fracciones del área visible (el video, no el fondo del reframe)
+const OVERLAY_MAX = 10;
+const OVERLAY_POSITIONS = [
+  "top_left",
+  "top",
+  "top_right",
+  "left",
+  "center",
+  "right",
+  "bottom_left",
+  "bottom",
+  "bottom_right",
+];
+const OVERLAY_COLOR_RE = /^(#[0-9a-f]{6}|[a-z]{3,20})(@(0(\.\d{1,3})?|1(\.0{1,3})?))?$/i;
+const OVERLAY_FONTS = {
+  sans: "/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf",
+  sans_bold: "/usr/share/fonts/truetype/dejavu/DejaVuSans-Bold.ttf",
+};
+
+function validateOverlays(overlays) {
+  if (overlays === undefined || overlays === null) return null;
+  if (!Array.isArray(overlays)) return "filters.overlays must be an array";
+  if (overlays.length > OVERLAY_MAX) return `Too many overlays (max ${OVERLAY_MAX})`;
+  const frac = (v) => v === undefined || (typeof v === "number" && v >= 0 && v <= 1);
+  for (let i = 0; i < overlays.length; i++) {
+    const o = overlays[i] || {};
+    const label = `filters.overlays[${i}]`;
+    if (o.type !== "image" && o.type !== "text") return `${label}.type must be image|text`;
+    if (o.position && !OVERLAY_POSITIONS.includes(o.position)) {
+      return `${label}.position must be one of ${OVERLAY_POSITIONS.join("|")}`;
+    }
+    if (!frac(o.x) || !frac(o.y) || !frac(o.opacity) || !frac(o.margin)) {
+      return `${label}: x, y, opacity and margin must be numbers in [0, 1]`;
+    }
+    if (o.start !== undefined && typeof o.start !== "number") return `${label}.start must be a number`;
+    if (o.end !== undefined && (typeof o.end !== "number" || o.end <= (o.start ?? 0))) {
+      return `${label}.end must be a number > start`;
+    }
+    if (o.type === "image") {
+      if (!o.url && !o.source) return `${label}: url OR source required for image overlays`;
+      if (o.url && !isHttpUrl(o.url)) return `${label}.url must be http(s)`;
+      if (o.source && !o.url && !parseSource(o.source)) return `${label}: invalid source`;
+      if (o.scale !== undefined && !(typeof o.scale === "number" && o.scale > 0 && o.scale <= 1)) {
+        return `${label}.scale must be a number in (0, 1]`;
+      }
+    } else {
+      if (typeof o.text !== "string" || !o.text.trim()) return `${label}.text required`;
+      if (o.font && !OVERLAY_FONTS[o.font]) {
+        return `${label}.font must be one of ${Object.keys(OVERLAY_FONTS).join("|")}`;
+      }
+      if (o.size !== undefined && !(typeof o.size === "number" && o.size > 0 && o.size <= 0.5)) {
+        return `${label}.size must be a number in (0, 0.5]`;
+      }
+      for (const k of ["color", "box_color"]) {
+        if (o[k] !== undefined && !OVERLAY_COLOR_RE.test(String(o[k]))) {
+          return `${label}.${k} must be a color name or #RRGGBB, optionally with @alpha`;
+        }
+      }
+      for (const k of ["fade_in", "fade_out"]) {
+        if (o[k] !== undefined && !(typeof o[k] === "number" && o[k] >= 0)) {
+          return `${label}.${k} must be a number >= 0`;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+// Expresiones x/y de overlay/drawtext dentro del rect visible; `w`/`h` = tamaño del elemento
+function overlayXY(o, rect, w, h) {
+  const r = (v) => Number(v.toFixed(1));
+  const m = (o.margin ?? 0.03) * Math.min(rect.w, rect.h);
+  if (o.x !== undefined || o.y !== undefined) {
+    return {
+      x: `${r(rect.x + (o.x ?? 0.5) * rect.w)}-${w}/2`,
+      y: `${r(rect.y + (o.y ?? 0.5) * rect.h)}-${h}/2`,
+    };
+  }
+  const pos = o.position || (o.type === "image" ? "top_right" : "bottom");
+  const x = pos.endsWith("left")
+    ? `${r(rect.x + m)}`
+    : pos.endsWith("right")
+      ? `${r(rect.x + rect.w - m)}-${w}`
+      : `${r(rect.x + rect.w / 2)}-${w}/2`;
+  const y = pos.startsWith("top")
+    ? `${r(rect.y + m)}`
+    : pos.startsWith("bottom")
+      ? `${r(rect.y + rect.h - m)}-${h}`
+      : `${r(rect.y + rect.h / 2)}-${h}/2`;
+  return { x, y };
+}
+
+function overlayEnable(o) {
+  if (o.start === undefined && o.end === undefined) return "";
+  return `:enable='between(t,${o.start ?? 0},${o.end ?? 1e9})'`;
+}
+
+// alpha de drawtext con fade in/out dentro de [start, end]
+function textAlphaExpr(o) {
+  const op = o.opacity ?? 1;
+  const fi = o.fade_in || 0;
+  const fo = o.fade_out || 0;
+  const a = o.start ?? 0;
+  if (!fi && !(fo && o.end !== undefined)) return `${op}`;
+  let expr = "1";
+  if (fo && o.end !== undefined) expr = `if(gt(t,${o.end - fo}),(${o.end}-t)/${fo},${expr})`;
+  if (fi) expr = `if(lt(t,${a + fi}),(t-${a})/${fi},${expr})`;
+  return `${op}*max(0,min(1,${expr}))`;
+}
+
+/**
+ * Construye los filtros de overlays sobre un frame de salida; `rect` es el área visible.
+ * Las imágenes entran vía movie= (no hacen falta inputs extra en -vf) y el texto se
+ * lee de un archivo (textfile=) para no escapar nada. Devuelve { parts, tempFiles }.
+ */
+// Extensión del tmp de una imagen: va dentro de movie='…', así que sólo de esta lista (nada del cliente)
+const OVERLAY_IMAGE_EXTS = [".png", ".jpg", ".jpeg", ".webp", ".gif"];
+
+function overlayImageExt(ref) {
+  const ext = nodePath.extname(new URL(ref, "file:///").pathname).toLowerCase();
+  return OVERLAY_IMAGE_EXTS.includes(ext) ? ext : ".png";
+}
+
+async function buildOverlayFilters(overlays, rect) {
+  const parts = [];
+  const tempFiles = [];
+  try {
+    for (let i = 0; i < overlays.length; i++) {
+      const o = overlays[i];
+      if (o.type === "image") {
+        const ref = o.url || parseSource(o.source)?.path || "";
+        const ext = overlayImageExt(ref);
+        const img = await downloadToTempSmart({ video_url: o.url, source: o.source }, ext, "image");
+        tempFiles.push(img);
+        const w = Math.max(2, Math.round((o.scale ?? 0.15) * rect.w));
+        const { x, y } = overlayXY(o, rect, "w", "h");
+        const alpha = o.opacity !== undefined && o.opacity < 1 ? `,colorchannelmixer=aa=${o.opacity}` : "";
+        parts.push(
+          `null[ovb${i}];movie='${img.name}',scale=${w}:-1,format=rgba${alpha}[ovi${i}];` +
+            `[ovb${i}][ovi${i}]overlay=${x}:${y}${overlayEnable(o)}`
+        );
+      } else {
+        const txt = tmp.fileSync({ postfix: ".txt" });
+        fs.writeFileSync(txt.name, o.text);
+        tempFiles.push(txt);
+        const size = Math.round((o.size ?? 0.05) * rect.h);
+        const { x, y } = overlayXY(o, rect, "tw", "th");
+        const box = o.box
+          ? `:box=1:boxcolor=${o.box_color || "black@0.5"}:boxborderw=${Math.round(size * 0.3)}`
+          : "";
+        parts.push(
+          `drawtext=fontfile=${OVERLAY_FONTS[o.font || "sans_bold"]}:textfile='${txt.name}'` +
+            `:fontsize=${size}:fontcolor=${o.color || "white"}:alpha='${textAlphaExpr(o)}'` +
+            `:borderw=${o.border === false ? 0 : Math.max(1, Math.round(size / 16))}:bordercolor=black@0.6` +
+            `${box}:x=${x}:y=${y}${overlayEnable(o)}`
+        );
+      }
+    }
+    return { parts, tempFiles };
+  } catch (e) {
+    for (const f of tempFiles) f.removeCallback();
+    throw e;
+  }
+}
+
+// ========= API KEYS (auth, cuotas por key, uso) =========
+// Keys desde API_KEYS ("nombre:key,nombre2:key2") y/o API_KEYS_FILE (JSON):
+//   [{ name, key | key_sha256, secret?, require_signature?, routes?, disabled?, admin?,
+//      limits?: { concurrent_jobs, requests_per_minute, media_minutes_per_day } }]
+// La key viaja en X-API-Key (o Authorization: Bearer). Sin keys configuradas no hay auth.
+// Firma opcional: X-Signature: sha256=HMAC(secret, "<timestamp>.<METHOD>.<url>.<body>")
+// + X-Signature-Timestamp (segundos), como los callbacks.
+const API_KEYS_FILE = process.env.API_KEYS_FILE || "";
+const API_USAGE_FILE = process.env.API_USAGE_FILE || "";
+const API_SIGNATURE_TOLERANCE_S = Number(process.env.API_SIGNATURE_TOLERANCE_S || 300);
+const API_DEFAULT_LIMITS = {
+  concurrent_jobs: Number(process.env.API_DEFAULT_CONCURRENT_JOBS || 2),
+  requests_per_minute: Number(process.env.API_DEFAULT_REQUESTS_PER_MINUTE || 60),
+  media_minutes_per_day: Number(process.env.API_DEFAULT_MEDIA_MINUTES_PER_DAY || 600),
+};
+const API_CONCURRENCY_RETRY_S = 10;
+
+const sha256Hex = (s) => crypto.createHash("sha256").update(String(s)).digest("hex");
+
+function loadApiKeys() {
+  const entries = [];
+  for (const pair of (process.env.API_KEYS || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const i = pair.indexOf(":");
+    if (i > 0) entries.push({ name: pair.slice(0, i), key: pair.slice(i + 1) });
+  }
+  if (API_KEYS_FILE) {
+    const list = JSON.parse(fs.readFileSync(API_KEYS_FILE, "utf8"));
+    if (!Array.isArray(list)) throw new Error(`${API_KEYS_FILE}: expected a JSON array`);
+    entries.push(...list);
+  }
+
+  const byHash = new Map(); // sha256(key) => registro
+  for (const e of entries) {
+    const hash = e.key_sha256 ? String(e.key_sha256).toLowerCase() : e.key ? sha256Hex(e.key) : null;
+    if (!e.name || !hash) throw new Error(`API key entry needs name and key|key_sha256: ${JSON.stringify(e.name)}`);
+    // Sin secret no hay con qué verificar la firma: apiAuth la daría por buena (fail-open)
+    if (e.require_signature === true && !e.secret) {
+      throw new Error(`API key ${JSON.stringify(e.name)}: require_signature needs a secret`);
+    }
+    byHash.set(hash, {
+      name: String(e.name),
+      secret: e.secret || null,
+      require_signature: e.require_signature === true,
+      routes: Array.isArray(e.routes) ? e.routes : null,
+      disabled: e.disabled === true,
+      admin: e.admin === true,
+      limits: { ...API_DEFAULT_LIMITS, ...(e.limits || {}) },
+    });
+  }
+  return byHash;
+}
+
+const apiKeys = loadApiKeys();
+if (!apiKeys.size) log("WARN", "No API keys configured (API_KEYS / API_KEYS_FILE): every route is open");
+
+// Uso por key (nombre), persistido en API_USAGE_FILE. Trabajos en curso y requests del
+// último minuto viven sólo en memoria (apiLive).
+const apiUsage = new Map();
+const apiLive = new Map(); // nombre => { active, recent: [ms] }
+let apiUsageDirty = false;
+
+const utcDay = () => new Date().toISOString().slice(0, 10);
+
+function keyUsage(name) {
+  let u = apiUsage.get(name);
+  if (!u) {
+    u = { day: utcDay(), requests_today: 0, media_seconds_today: 0, rejected_today: 0,
+      requests_total: 0, media_seconds_total: 0, last_used_at: null };
+    apiUsage.set(name, u);
+  }
+  if (u.day !== utcDay()) {
+    Object.assign(u, { day: utcDay(), requests_today: 0, media_seconds_today: 0, rejected_today: 0 });
+    apiUsageDirty = true;
+  }
+  return u;
+}
+
+function keyLive(name) {
+  let l = apiLive.get(name);
+  if (!l) apiLive.set(name, (l = { active: 0, recent: [] }));
+  return l;
+}
+
+if (API_USAGE_FILE && fs.existsSync(API_USAGE_FILE)) {
+  try {
+    for (const [name, u] of Object.entries(JSON.parse(fs.readFileSync(API_USAGE_FILE, "utf8")))) {
+      apiUsage.set(name, u);
+    }
+  } catch (e) {
+    log("WARN", "API_USAGE_FILE unreadable, starting from zero", normalizeErr(e).message);
+  }
+}
+
+function saveApiUsage() {
+  if (!API_USAGE_FILE || !apiUsageDirty) return;
+  apiUsageDirty = false;
+  try {
+    const tmpFile = `${API_USAGE_FILE}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(Object.fromEntries(apiUsage), null, 2));
+    fs.renameSync(tmpFile, API_USAGE_FILE);
+  } catch (e) {
+    log("WARN", "API_USAGE_FILE write failed", normalizeErr(e).message);
+  }
+}
+setInterval(saveApiUsage, 10 * 1000).unref();
+
+// Segundos hasta la medianoche UTC (cuando se renueva la cuota diaria)
+function secondsToUtcMidnight() {
+  const now = new Date();
+  return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now) / 1000);
+}
+
+function apiDeny(req, res, status, code, message, retryAfter = null) {
+  if (req.apiKey) {
+    keyUsage(req.apiKey.name).rejected_today++;
+    apiUsageDirty = true;
+  }
+  if (retryAfter != null) res.set("Retry-After", String(Math.max(1, Math.ceil(retryAfter))));
+  log("AUTH", status, code, req.method, req.path, req.apiKey?.name || "-");
+  return res.status(status).json({ ok: false, reqId: req._id, error: { name: "AuthError", code, message } });
+}
+
+function presentedKey(req) {
+  const header = req.headers["x-api-key"];
+  if (header) return String(header);
+  const m = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return m ? m[1].trim() : null;
+}
+
+function signatureValid(req, secret) {
+  const ts = Number(req.headers["x-signature-timestamp"]);
+  const m = /^sha256=([0-9a-f]{64})$/i.exec(req.headers["x-signature"] || "");
+  if (!m || !Number.isFinite(ts)) return false;
+  if (Math.abs(Date.now() / 1000 - ts) > API_SIGNATURE_TOLERANCE_S) return false;
+  const raw = req.rawBody ? req.rawBody.toString("utf8") : "";
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${ts}.${req.method}.${req.originalUrl}.${raw}`)
+    .digest();
+  return crypto.timingSafeEqual(expected, Buffer.from(m[1], "hex"));
+}
+
+// Rutas que toda key puede usar aunque tenga `routes` acotado
+const keyAlwaysAllowed = (path) => path === "/usage" || path.startsWith("/jobs/");
+
+// Middleware: 401 (sin key / key inválida / firma), 403 (key desactivada / ruta no permitida),
+// 429 (requests por minuto). Concurrencia y minutos de media se controlan en jobRoute.
+function apiAuth(req, res, next) {
+  if (!apiKeys.size) return next();
+  const key = presentedKey(req);
+  if (!key) return apiDeny(req, res, 401, "API_KEY_MISSING", "API key required (X-API-Key header)");
+  const rec = apiKeys.get(sha256Hex(key));
+  if (!rec) return apiDeny(req, res, 401, "API_KEY_INVALID", "Invalid API key");
+  req.apiKey = rec;
+
+  if (rec.secret && (rec.require_signature || req.headers["x-signature"]) && !signatureValid(req, rec.secret)) {
+    return apiDeny(req, res, 401, "SIGNATURE_INVALID",
+      `Missing or invalid X-Signature (HMAC-SHA256 over "<timestamp>.<METHOD>.<url>.<body>", ` +
+        `timestamp within ${API_SIGNATURE_TOLERANCE_S}s)`);
+  }
+  if (rec.disabled) return apiDeny(req, res, 403, "API_KEY_DISABLED", "API key disabled");
+  if (rec.routes && !keyAlwaysAllowed(req.path) && !rec.routes.includes(req.path)) {
+    return apiDeny(req, res, 403, "ROUTE_NOT_ALLOWED", `Route ${req.path} not allowed for this API key`);
+  }
+
+  // Ventana deslizante de 60 s
+  const live = keyLive(rec.name);
+  const now = Date.now();
+  live.recent = live.recent.filter((t) => t > now - 60 * 1000);
+  const rpm = rec.limits.requests_per_minute;
+  if (rpm > 0 && live.recent.length >= rpm) {
+    return apiDeny(req, res, 429, "RATE_LIMITED", `Rate limit exceeded: ${rpm} requests per minute`,
+      (live.recent[0] + 60 * 1000 - now) / 1000);
+  }
+  live.recent.push(now);
+  const u = keyUsage(rec.name);
+  u.requests_today++;
+  u.requests_total++;
+  u.last_used_at = new Date(now).toISOString();
+  apiUsageDirty = true;
+  return next();
+}
+
+// Antes de procesar (jobRoute): trabajos simultáneos y cuota diaria ya agotada.
+// Devuelve { status, code, message, retryAfter } o null.
+function apiAdmit(apiKey) {
+  if (!apiKey) return null;
+  const u = keyUsage(apiKey.name);
+  const { concurrent_jobs, media_minutes_per_day } = apiKey.limits;
+  if (concurrent_jobs > 0 && keyLive(apiKey.name).active >= concurrent_jobs) {
+    return { status: 429, code: "CONCURRENCY_LIMIT",
+      message: `Too many jobs in progress for this API key (max ${concurrent_jobs})`,
+      retryAfter: API_CONCURRENCY_RETRY_S };
+  }
+  if (media_minutes_per_day > 0 && u.media_seconds_today >= media_minutes_per_day * 60) {
+    return { status: 429, code: "MEDIA_QUOTA_EXCEEDED",
+      message: `Daily media quota exhausted (${media_minutes_per_day} min/day, resets 00:00 UTC)`,
+      retryAfter: secondsToUtcMidnight() };
+  }
+  return null;
+}
+
+function quotaError(message, code = "MEDIA_QUOTA_EXCEEDED") {
+  const e = new Error(message);
+  e.name = "QuotaError";
+  e.code = code;
+  return e;
+}
+
+// Descuenta minutos de media procesados de la key del request en curso (runContext).
+// Lanza MEDIA_QUOTA_EXCEEDED (=> 429) si el trabajo no entra en lo que queda del día, y
+// MEDIA_DURATION_UNKNOWN (=> 422) si hay cuota pero no se sabe cuánto va a procesar.
+function chargeMedia(seconds) {
+  const apiKey = runContext.getStore()?.apiKey;
+  if (!apiKey) return;
+  const limit = apiKey.limits.media_minutes_per_day * 60;
+  const s = seconds === null || seconds === undefined ? NaN : Number(seconds);
+  if (!Number.isFinite(s)) {
+    if (limit > 0) {
+      throw quotaError(
+        "Media duration unknown: cannot charge it against the daily media quota",
+        "MEDIA_DURATION_UNKNOWN"
+      );
+    }
+    return;
+  }
+  if (!(s > 0)) return;
+  const u = keyUsage(apiKey.name);
+  if (limit > 0 && u.media_seconds_today + s > limit) {
+    const left = Math.max(0, limit - u.media_seconds_today);
+    throw quotaError(
+      `Daily media quota exceeded: needs ${(s / 60).toFixed(1)} min, ${(left / 60).toFixed(1)} min left today`
+    );
+  }
+  u.media_seconds_today += s;
+  u.media_seconds_total += s;
+  apiUsageDirty = true;
+}
+
+function usageView(name, rec) {
+  const u = keyUsage(name);
+  const live = keyLive(name);
+  return {
+    name,
+    limits: rec?.limits || null,
+    active_jobs: live.active,
+    requests_last_minute: live.recent.filter((t) => t > Date.now() - 60 * 1000).length,
+    day: u.day,
+    requests_today: u.requests_today,
+    rejected_today: u.rejected_today,
+    media_minutes_today: Number((u.media_seconds_today / 60).toFixed(2)),
+    requests_total: u.requests_total,
+    media_minutes_total: Number((u.media_seconds_total / 60).toFixed(2)),
+    last_used_at: u.last_used_at,
+  };
+}
+
+// ========= WORKER POOL (cola acotada, apagado ordenado) =========
+// Cada jobRoute (sync o async) toma un slot antes de lanzar ffmpeg; si no hay, espera en cola
+// (posición en progress.queue_position). Cola llena o apagándose => 503 + Retry-After.
+const WORKER_CONCURRENCY = Math.max(1, Number(process.env.WORKER_CONCURRENCY || 2));
+const WORKER_QUEUE_MAX = Math.max(0, Number(process.env.WORKER_QUEUE_MAX || 20));
+const SHUTDOWN_GRACE_MS = Number(process.env.SHUTDOWN_GRACE_MS || 25 * 1000);
+const JOBS_CHECKPOINT_FILE = process.env.JOBS_CHECKPOINT_FILE || ""; // jobs async a reanudar tras reiniciar
+const PROCESS_STARTED_AT = Date.now();
+
+const pool = {
+  running: 0,
+  queue: [], // { controller, onPosition, start }
+  active: new Set(), // AbortControllers de lo que está corriendo
+  tasks: new Set(), // promesas de requests/jobs en vuelo (se esperan al apagar)
+  checkpoint: [], // jobs async guardados al apagar
+  draining: false,
+  avgMs: 60 * 1000, // duración media (EWMA) de un trabajo, para estimar Retry-After
+};
+
+function shutdownError() {
+  const e = new Error("Service is shutting down");
+  e.code = "SHUTTING_DOWN";
+  return e;
+}
+
+// Retry-After (s) de todo 503 del pool: apagándose, lo que dura el drenaje (SHUTDOWN_GRACE_MS);
+// si no, la espera estimada hasta que se libere un slot con la cola actual
+function poolRetryAfter() {
+  if (pool.draining) return Math.max(5, Math.ceil(SHUTDOWN_GRACE_MS / 1000));
+  const waves = pool.queue.length / WORKER_CONCURRENCY + 1;
+  return Math.max(5, Math.min(600, Math.ceil((waves * pool.avgMs) / 1000)));
+}
+
+// Antes de encolar: { status, code, message, retryAfter } o null (=> 503 PoolError)
+function poolAdmit() {
+  if (pool.draining) {
+    return { status: 503, code: "SHUTTING_DOWN", message: "Service is shutting down, retry shortly",
+      retryAfter: poolRetryAfter() };
+  }
+  if (pool.running >= WORKER_CONCURRENCY && pool.queue.length >= WORKER_QUEUE_MAX) {
+    return { status: 503, code: "QUEUE_FULL",
+      message: `Server busy: ${pool.running} jobs running, ${pool.queue.length} queued (max ${WORKER_QUEUE_MAX})`,
+      retryAfter: poolRetryAfter() };
+  }
+  return null;
+}
+
+function announceQueue() {
+  pool.queue.forEach((w, i) => w.onPosition(i + 1));
+}
+
+function nextWorker() {
+  while (pool.running < WORKER_CONCURRENCY && pool.queue.length) pool.queue.shift().start();
+  announceQueue();
+}
+
+/**
+ * Reserva un slot del pool; resuelve con `done()` (liberar) cuando le toca correr.
+ * Abortar `controller` mientras espera lo saca de la cola y rechaza con signal.reason.
+ */
+function acquireWorker(controller, onPosition = () => {}) {
+  const { signal } = controller;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const i = pool.queue.indexOf(waiter);
+      if (i < 0) return;
+      pool.queue.splice(i, 1);
+      announceQueue();
+      reject(signal.reason);
+    };
+    const waiter = {
+      controller,
+      onPosition,
+      start() {
+        signal.removeEventListener("abort", onAbort);
+        pool.running++;
+        pool.active.add(controller);
+        const t0 = Date.now();
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          pool.running--;
+          pool.active.delete(controller);
+          pool.avgMs = Math.round(pool.avgMs * 0.8 + (Date.now() - t0) * 0.2);
+          nextWorker();
+        });
+      },
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+    if (pool.running < WORKER_CONCURRENCY && !pool.queue.length) return waiter.start();
+    pool.queue.push(waiter);
+    onPosition(pool.queue.length);
+  });
+}
+
+function trackTask(promise) {
+  pool.tasks.add(promise);
+  promise.finally(() => pool.tasks.delete(promise));
+  return promise;
+}
+
+// Job async cortado por el apagado: se guarda para reanudarlo al arrancar (si hay JOBS_CHECKPOINT_FILE).
+// En este proceso queda "interrupted" (no sigue corriendo); el siguiente lo crea otra vez en cola.
+function checkpointJob(job, body) {
+  if (!JOBS_CHECKPOINT_FILE) return false;
+  job.state = "interrupted";
+  job.progress = { stage: "interrupted", percent: job.progress.percent };
+  job.updated_at = new Date().toISOString();
+  publishProgress(job.id, "end", { state: job.state, status: 503 });
+  pool.checkpoint.push({
+    id: job.id,
+    where: job.where,
+    reqId: job.reqId,
+    owner: job.owner,
+    callback_url: job.callback?.url || null,
+    created_at: job.created_at,
+    body,
+  });
+  return true;
+}
+
+// Temporales propios (tmp-*, clip_*, audio_*, ...) en el directorio temporal
+const TMP_PATTERN = /^(tmp-\d+-|clip_|thumb_|audio_|captions_|compose_|transcript_)/;
+
+function sweepTmpFiles(shouldRemove) {
+  let removed = 0;
+  for (const dir of new Set([os.tmpdir(), "/tmp"])) {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch {
+      continue;
+    }
+    for (const name of names.filter((n) => TMP_PATTERN.test(n))) {
+      const full = nodePath.join(dir, name);
+      try {
+        if (!shouldRemove(fs.lstatSync(full))) continue;
+        fs.rmSync(full, { recursive: true, force: true });
+        removed++;
+      } catch {
+        // ya borrado por su dueño
+      }
+    }
+  }
+  return removed;
+}
+
+const sleep = (ms) => new Promise((ok) => setTimeout(ok, ms));
+let httpServer = null; // app.listen de startServer; se cierra al empezar el apagado
+
+/**
+ * SIGTERM/SIGINT: deja de aceptar trabajo (503), saca la cola (jobs async => checkpoint),
+ * espera lo que corre hasta SHUTDOWN_GRACE_MS, luego lo corta (=> checkpoint / 503),
+ * guarda el checkpoint y el uso de API keys, limpia temporales y sale.
+ */
+async function shutdown(sig) {
+  if (pool.draining) return;
+  pool.draining = true;
+  log("SHUTDOWN", sig, { running: pool.running, queued: pool.queue.length, grace_ms: SHUTDOWN_GRACE_MS });
+  // Sin conexiones nuevas; las keep-alive ociosas se cierran y las que esperan respuesta siguen
+  httpServer?.close();
+  httpServer?.closeIdleConnections();
+
+  for (const w of [...pool.queue]) w.controller.abort(shutdownError());
+  const settled = () => Promise.allSettled([...pool.tasks]);
+  await Promise.race([settled(), sleep(SHUTDOWN_GRACE_MS)]);
+  if (pool.active.size) {
+    log("SHUTDOWN", `aborting ${pool.active.size} running jobs`);
+    for (const c of pool.active) c.abort(shutdownError());
+    await Promise.race([settled(), sleep(PROCESS_KILL_GRACE_MS + 5000)]);
+  }
+
+  if (pool.checkpoint.length) {
+    try {
+      fs.writeFileSync(JOBS_CHECKPOINT_FILE, JSON.stringify(pool.checkpoint, null, 2));
+      log("SHUTDOWN", `checkpointed ${pool.checkpoint.length} jobs to ${JOBS_CHECKPOINT_FILE}`);
+    } catch (e) {
+      log("SHUTDOWN", "checkpoint write failed", normalizeErr(e).message);
+    }
+  }
+  saveApiUsage();
+  const removed = sweepTmpFiles((st) => st.mtimeMs >= PROCESS_STARTED_AT);
+  log("SHUTDOWN", `done, removed ${removed} temp files`);
+  process.exit(0);
+}
+
+// ========= JOBS (modo asíncrono) =========
+const JOB_TTL_SECONDS = Number(process.env.JOB_TTL_SECONDS || 60 * 60 * 24); // 24h
+const CALLBACK_SECRET = process.env.CALLBACK_SECRET || "";
+const CALLBACK_RETRIES = [1000, 5000, 15000]; // espera antes de cada reintento (ms)
+// Los callbacks salen con las mismas reglas SSRF que las descargas (sin IPs privadas, sin redirects)
+const CALLBACK_HOST_ALLOWLIST = (process.env.CALLBACK_HOST_ALLOWLIST || "")
+  .split(",")
+  .map((h) => h.trim().toLowerCase())
+  .filter(Boolean);
+const jobs = new Map();
+
+function createJob(where, reqId, callbackUrl, owner = null, id = uuidv4()) {
+  const now = new Date().toISOString();
+  const job = {
+    id,
+    where,
+    reqId,
+    owner, // nombre de la API key que lo creó
+    state: "queued",
+    progress: { stage: "queued", percent: 0 },
+    created_at: now,
+    updated_at: now,
+    finished_at: null,
+    result: null,
+    controller: new AbortController(), // POST /jobs/:id/cancel
+    callback: callbackUrl
+      ? { url: callbackUrl, delivered: false, attempts: 0, last_error: null }
+      : null,
+  };
+  jobs.set(job.id, job);
+  openProgressChannel(job.id, owner);
+  return job;
+}
+
+// `extra` = detalle de la etapa (bytes/total_bytes al descargar, stage_percent/out_time al codificar)
+function setJobProgress(job, stage, percent, extra = null) {
+  if (!job) return;
+  const p = Number(percent);
+  job.progress = {
+    stage,
+    percent:
+      percent !== undefined && isFinite(p)
+        ? Math.max(0, Math.min(100, Math.round(p)))
+        : job.progress.percent,
+    ...(extra || {}),
+  };
+  job.updated_at = new Date().toISOString();
+  publishProgress(job.id, "progress", job.progress);
+}
+
+// ========= PROGRESO EN VIVO (SSE) =========
+// Un canal por job_id (modo async) o por reqId (modo síncrono: el cliente fija X-Request-Id
+// y abre GET /jobs/<X-Request-Id>/events una vez enviado el POST).
+// Los canales los abre el servidor al crear el job / empezar el request, con la API key dueña;
+// viven hasta el "end" y SSE_LINGER_MS más. Un GET nunca crea canales.
+const SSE_HEARTBEAT_MS = 15000;
+const SSE_LINGER_MS = 60 * 1000; // canal vivo tras terminar, para suscriptores tardíos
+const progressChannels = new Map(); // id => { owner, clients: Set<res>, last, end, timer }
+
+function openProgressChannel(id, owner = null) {
+  const ch = { owner, clients: new Set(), last: null, end: null, timer: null };
+  progressChannels.set(id, ch);
+  return ch;
+}
+
+function expireProgressChannel(id, ch) {
+  clearTimeout(ch.timer);
+  ch.timer = setTimeout(() => {
+    for (const res of ch.clients) res.end();
+    if (progressChannels.get(id) === ch) progressChannels.delete(id);
+  }, SSE_LINGER_MS);
+  ch.timer.unref();
+}
+
+/**
+ * Progreso de un request síncrono: { progress(stage, percent, extra), end(data) } sobre su
+ * canal SSE. Si el X-Request-Id ya es de un job o de otro canal abierto no publica nada.
+ */
+function requestProgress(id, owner) {
+  const open = !jobs.has(id) && !progressChannels.has(id);
+  if (open) openProgressChannel(id, owner);
+  const state = { id, progress: { stage: "starting", percent: 0 } };
+  return {
+    progress: (stage, percent, extra) => open && setJobProgress(state, stage, percent, extra),
+    end: (data) => open && publishProgress(id, "end", data),
+  };
+}
+
+function sseSend(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function publishProgress(id, event, data) {
+  const ch = progressChannels.get(id);
+  if (!ch) return;
+  if (event === "end") ch.end = data;
+  else ch.last = data;
+  for (const res of ch.clients) {
+    sseSend(res, event, data);
+    if (event === "end") res.end();
+  }
+  if (event === "end") {
+    ch.clients.clear();
+    expireProgressChannel(id, ch);
+  }
+}
+
+function jobView(job) {
+  return {
+    id: job.id,
+    where: job.where,
+    state: job.state,
+    progress: job.progress,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    finished_at: job.finished_at,
+    result: job.result,
+    callback: job.callback,
+    owner: job.owner,
+  };
+}
+
+// Firma HMAC-SHA256 sobre "<timestamp>.<body>" (si hay CALLBACK_SECRET)
+function signCallback(body, timestamp) {
+  return crypto.createHmac("sha256", CALLBACK_SECRET).update(`${timestamp}.${body}`).digest("hex");
+}
+
+async function deliverCallback(job) {
+  if (!job.callback) return;
+  const body = JSON.stringify({ job_id: job.id, where: job.where, state: job.state, result: job.result });
+  for (let attempt = 0; attempt <= CALLBACK_RETRIES.length; attempt++) {
+    if (attempt > 0) await new Promise((ok) => setTimeout(ok, CALLBACK_RETRIES[attempt - 1]));
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Job-Id": job.id,
+      "X-Signature-Timestamp": String(timestamp),
+    };
+    if (CALLBACK_SECRET) headers["X-Signature"] = `sha256=${signCallback(body, timestamp)}`;
+    job.callback.attempts = attempt + 1;
+    try {
+      checkSourceUrl(job.callback.url, CALLBACK_HOST_ALLOWLIST);
+      await axios.post(job.callback.url, body, {
+        headers,
+        timeout: 10000,
+        httpAgent: sourceHttpAgent,
+        httpsAgent: sourceHttpsAgent,
+        maxRedirects: 0,
+      });
+      job.callback.delivered = true;
+      job.callback.last_error = null;
+      return;
+    } catch (e) {
+      job.callback.last_error = normalizeErr(e).message;
+      log("CALLBACK_ERR", job.id, job.callback.url, job.callback.last_error);
+    }
+  }
+}
+
+// Purga de jobs terminados más viejos que JOB_TTL_SECONDS
+setInterval(() => {
+  const limit = Date.now() - JOB_TTL_SECONDS * 1000;
+  for (const [id, job] of jobs) {
+    if (job.finished_at && Date.parse(job.finished_at) < limit) jobs.delete(id);
+  }
+}, 60 * 1000).unref();
+
+// callback_url: http(s) y destino público (ver checkSourceUrl); devuelve el error o null
+function validateCallbackUrl(u) {
+  if (!isHttpUrl(u)) return "callback_url must be http(s)";
+  try {
+    checkSourceUrl(u, CALLBACK_HOST_ALLOWLIST);
+  } catch (e) {
+    return `callback_url rejected: ${e.message}`;
+  }
+  return null;
+}
+
+function isHttpUrl(u) {
+  try {
+    const { protocol } = new URL(String(u));
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Ejecuta un handler y devuelve { status, payload } con el mismo JSON de siempre.
+ * `run(body, reqInfo, progress)` devuelve el payload de éxito o lanza.
+ */
+// Timeout de ffmpeg => 504; cancelado (cliente desconectado o job cancelado) => 499
+// Fuente remota: rechazada => 422; el origen falló => 502; timeout => 504
+// Pista de audio pedida (audio.index) inexistente o target_mb imposible (cut/extract-audio) => 422
+// Duración desconocida con cuota de media o ventana vacía (start_time >= duración) => 422
+// Cuota diaria de minutos de media de la API key => 429; cortado por el apagado => 503
+// Storage: path inválido (traversal) => 400; archivo inexistente => 404
+function errorStatus(e, signal) {
+  if (e?.code === "SHUTTING_DOWN" || signal?.reason?.code === "SHUTTING_DOWN") return 503;
+  if (e?.code === "PROCESS_TIMEOUT" || e?.code === "SOURCE_TIMEOUT") return 504;
+  if (signal?.aborted || e?.code === "PROCESS_CANCELLED") return 499;
+  if (e?.code === "SOURCE_HTTP_ERROR" || e?.code === "SOURCE_NETWORK_ERROR") return 502;
+  if (e?.name === "SourceError") return 422;
+  if (e?.code === "AUDIO_STREAM_NOT_FOUND" || e?.code === "TARGET_TOO_SMALL") return 422;
+  if (e?.code === "CHUNK_TOO_LARGE" || e?.code === "MEDIA_DURATION_UNKNOWN" || e?.code === "EMPTY_RANGE") {
+    return 422;
+  }
+  if (e?.code === "MEDIA_QUOTA_EXCEEDED") return 429;
+  if (e?.code === "LOCAL_INVALID_PATH") return 400;
+  if (/_FILE_NOT_FOUND$/.test(e?.code || "")) return 404;
+  return 500;
+}
+
+// Ejecuta el handler dentro de runContext: todo ffmpeg/ffprobe lanzado ve `signal`
+// (y `apiKey`, para descontar minutos de media con chargeMedia)
+async function runHandler(run, body, reqInfo, hint, progress, signal, apiKey = null) {
+  try {
+    const payload = await runContext.run({ signal, progress, apiKey }, () => run(body, reqInfo, progress));
+    return { status: 200, payload };
+  } catch (e) {
+    const err = normalizeErr(e);
+    logFailure(reqInfo, e, err, signal);
+    return { status: errorStatus(e, signal), payload: { ok: false, ...reqInfo, error: err, hint } };
+  }
+}
+
+// Cancelado (cliente desconectado, /jobs/:id/cancel o apagado): es esperado, no un fallo
+function isCancellation(e, signal) {
+  return Boolean(signal?.aborted) || e?.code === "PROCESS_CANCELLED" || axios.isCancel(e);
+}
+
+function logFailure(info, e, err, signal) {
+  if (isCancellation(e, signal)) log("CANCELLED", info, signal?.reason?.code || err.code || err.name);
+  else log("ERR", info, err);
+}
+
+// Corre un job async: espera slot en el pool, ejecuta y notifica (SSE + callback).
+// `release` libera el cupo de la API key. Cortado por el apagado => checkpoint si se puede.
+async function runJob(job, { run, hint }, body, reqInfo, apiKey, release) {
+  const progress = (stage, percent, extra) => setJobProgress(job, stage, percent, extra);
+  let status, payload;
+  try {
+    const done = await acquireWorker(job.controller, (n) => progress("queued", 0, { queue_position: n }));
+    job.state = "running";
+    setJobProgress(job, "starting", 0);
+    ({ status, payload } = await runHandler(
+      run, body, reqInfo, hint, progress, job.controller.signal, apiKey
+    ).finally(done));
+  } catch (e) {
+    // Salió de la cola sin correr: cancelado (ya cerrado por /cancel) o apagado
+    if (job.state === "cancelled") return;
+    status = errorStatus(e, job.controller.signal);
+    payload = { ok: false, ...reqInfo, error: normalizeErr(e), hint };
+  } finally {
+    release();
+  }
+  if (status === 503 && checkpointJob(job, body)) return log("JOB", job.id, job.where, "checkpointed");
+
+  if (job.controller.signal.aborted && status !== 503) job.state = "cancelled";
+  else job.state = status === 200 ? "succeeded" : "failed";
+  job.result = payload;
+  if (status === 200) setJobProgress(job, "done", 100);
+  job.finished_at = job.updated_at = new Date().toISOString();
+  log("JOB", job.id, job.where, job.state);
+  publishProgress(job.id, "end", { state: job.state, status });
+  await deliverCallback(job);
+}
+
+// Cupo de la API key (trabajos simultáneos, sync + async en cola/corriendo); devuelve el release
+function holdKeySlot(apiKey) {
+  const live = apiKey ? keyLive(apiKey.name) : null;
+  if (live) live.active++;
+  let held = Boolean(live);
+  return () => {
+    if (held) live.active--;
+    held = false;
+  };
+}
+
+const jobRoutes = new Map(); // where => { run, hint } (para reanudar jobs del checkpoint)
+
+/**
+ * Ruta con modo síncrono (default) o asíncrono:
+ *  - { async: true } o { callback_url } => responde 202 con job_id y procesa en segundo plano.
+ *  - GET /jobs/:id reporta estado, progreso y el payload final.
+ * Ambos modos pasan por el worker pool (cola acotada).
+ */
+function jobRoute(where, hint, validate, run) {
+  jobRoutes.set(where, { run, hint });
+  return async (req, res) => {
+    const reqInfo = { where, reqId: req._id };
+    logReq(req, reqInfo);
+    const body = req.body || {};
+
+    const bad = validate(body);
+    if (bad) return res.status(400).json({ ok: false, ...reqInfo, error: bad });
+
+    const { callback_url } = body;
+    const badCallback = callback_url ? validateCallbackUrl(callback_url) : null;
+    if (badCallback) return res.status(400).json({ ok: false, ...reqInfo, error: badCallback });
+    const wantsAsync = body.async === true || req.query.async === "true" || !!callback_url;
+
+    // Límites de la API key (trabajos simultáneos, cuota diaria) y del pool (cola llena / apagando)
+    const { apiKey } = req;
+    const denied = apiAdmit(apiKey);
+    if (denied) return apiDeny(req, res, denied.status, denied.code, denied.message, denied.retryAfter);
+    const busy = poolAdmit();
+    if (busy) {
+      log("POOL", busy.status, busy.code, reqInfo);
+      res.set("Retry-After", String(busy.retryAfter));
+      const error = { name: "PoolError", code: busy.code, message: busy.message };
+      return res.status(busy.status).json({ ok: false, ...reqInfo, error });
+    }
+    const release = holdKeySlot(apiKey);
+
+    if (!wantsAsync) {
+      // Si el cliente corta la conexión, se matan los procesos en curso (o sale de la cola)
+      const controller = new AbortController();
+      res.on("close", () => {
+        if (!res.writableFinished) controller.abort();
+      });
+      const { progress, end } = requestProgress(req._id, apiKey?.name);
+      const task = trackTask(
+        acquireWorker(controller, (n) => progress("queued", 0, { queue_position: n }))
+          .then((done) => runHandler(run, body, reqInfo, hint, progress, controller.signal, apiKey).finally(done))
+          .catch((e) => ({
+            status: errorStatus(e, controller.signal),
+            payload: { ok: false, ...reqInfo, error: normalizeErr(e), hint },
+          }))
+          .finally(release)
+      );
+      const { status, payload } = await task;
+      const cancelled = controller.signal.aborted && status !== 503; // 503 = cortado por el apagado
+      const state = cancelled ? "cancelled" : status === 200 ? "succeeded" : "failed";
+      end({ state, status });
+      if (cancelled) return log("ABORTED", reqInfo);
+      if (status === 429) res.set("Retry-After", String(secondsToUtcMidnight()));
+      if (status === 503) res.set("Retry-After", String(poolRetryAfter()));
+      return res.status(status).json(payload);
+    }
+
+    const job = createJob(where, req._id, callback_url, apiKey?.name);
+    const queued = pool.running >= WORKER_CONCURRENCY ? pool.queue.length + 1 : 0;
+    res.status(202).json({
+      ok: true,
+      ...reqInfo,
+      job_id: job.id,
+      state: job.state,
+      queue_position: queued || null,
+      status_url: `/jobs/${job.id}`,
+      events_url: `/jobs/${job.id}/events`,
+    });
+
+    setImmediate(() => trackTask(runJob(job, { run, hint }, body, reqInfo, apiKey, release)));
+  };
+}
+
+// Reanuda los jobs async guardados por el último apagado (JOBS_CHECKPOINT_FILE)
+function resumeCheckpointedJobs() {
+  if (!JOBS_CHECKPOINT_FILE || !fs.existsSync(JOBS_CHECKPOINT_FILE)) return;
+  let saved = [];
+  try {
+    saved = JSON.parse(fs.readFileSync(JOBS_CHECKPOINT_FILE, "utf8"));
+    fs.unlinkSync(JOBS_CHECKPOINT_FILE);
+  } catch (e) {
+    return log("WARN", "JOBS_CHECKPOINT_FILE unreadable", normalizeErr(e).message);
+  }
+  for (const s of saved) {
+    const route = jobRoutes.get(s.where);
+    if (!route) continue;
+    const apiKey = [...apiKeys.values()].find((k) => k.name === s.owner) || null;
+    const job = createJob(s.where, s.reqId, s.callback_url, s.owner, s.id);
+    job.created_at = s.created_at || job.created_at;
+    log("JOB", job.id, s.where, "resumed");
+    trackTask(runJob(job, route, s.body, { where: s.where, reqId: s.reqId }, apiKey, holdKeySlot(apiKey)));
+  }
+}
+
+// Número finito dentro de [min, max] (undefined = no enviado, válido)
+function numberIn(v, min, max) {
+  return v === undefined || (typeof v === "number" && Number.isFinite(v) && v >= min && v <= max);
+}
+
+function requireInput({ video_url, source, storage }) {
+  if (!video_url && !source) return "video_url OR source{bucket,path} required";
+  if (source && !video_url && !parseSource(source)) {
+    return 'Invalid source: use { driver?, bucket, path } or "driver://bucket/path" (supabase|local|s3)';
+  }
+  if (storage?.driver && !storageDrivers[storage.driver]) {
+    return `Unknown storage.driver: ${storage.driver} (supabase|local|s3)`;
+  }
+  return null;
+}
+
+// ========= ENDPOINTS =========
+app.get("/", (_req, res) => res.send("video-svc up"));
+// Archivos del driver "local"
+app.use("/files", express.static(LOCAL_STORAGE_DIR, { index: false, dotfiles: "deny" }));
+// Todo lo que sigue exige API key (si hay keys configuradas)
+app.use(apiAuth);
+app.post("/echo", (req, res) => res.json({ ok: true, echo: req.body || null }));
+
+
+// Uso y límites de la key del request; una key `admin` ve todas
+app.get("/usage", (req, res) => {
+  if (!req.apiKey) return res.json({ ok: true, auth: false, keys: [] });
+  const keys = req.apiKey.admin
+    ? [...apiKeys.values()].map((rec) => usageView(rec.name, rec))
+    : [usageView(req.apiKey.name, req.apiKey)];
+  return res.json({ ok: true, auth: true, keys });
+});
+
+// Un job sólo es visible para la key que lo creó (o una key admin)
+function jobForKey(req, res) {
+  const job = jobs.get(req.params.id);
+  if (!job) {
+    res.status(404).json({ ok: false, error: "Job not found" });
+    return null;
+  }
+  if (req.apiKey && !req.apiKey.admin && job.owner !== req.apiKey.name) {
+    apiDeny(req, res, 403, "JOB_NOT_OWNED", "Job belongs to another API key");
+    return null;
+  }
+  return job;
+}
+
+app.get("/jobs/:id", (req, res) => {
+  const job = jobForKey(req, res);
+  if (!job) return;
+  return res.json({ ok: true, job: jobView(job) });
+});
+
+// Progreso en vivo (SSE): eventos "progress" { stage, percent, ... } y un "end" { state, status } final.
+// `id` = job_id, o el X-Request-Id de un request síncrono en curso.
+app.get("/jobs/:id/events", (req, res) => {
+  const { id } = req.params;
+  const job = jobs.get(id);
+  if (job && !jobForKey(req, res)) return;
+  const ch = progressChannels.get(id);
+  if (!job && !ch) return res.status(404).json({ ok: false, error: "Job not found" });
+  // Canal de un request síncrono: misma regla que los jobs (sólo su key o una admin)
+  if (!job && req.apiKey && !req.apiKey.admin && ch.owner !== req.apiKey.name) {
+    return apiDeny(req, res, 403, "JOB_NOT_OWNED", "Job belongs to another API key");
+  }
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const last = job ? job.progress : ch.last;
+  if (last) sseSend(res, "progress", last);
+  const end = ch?.end || (job?.finished_at ? { state: job.state } : null);
+  if (end) {
+    sseSend(res, "end", end);
+    return res.end();
+  }
+  if (!ch) return res.end(); // job sin canal (quedó en el checkpoint del apagado)
+
+  ch.clients.add(res);
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), SSE_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    ch.clients.delete(res);
+  });
+});
+
+// Cancela un job en cola o en curso: mata sus procesos ffmpeg/ffprobe
+app.post("/jobs/:id/cancel", (req, res) => {
+  const job = jobForKey(req, res);
+  if (!job) return;
+  if (job.state !== "queued" && job.state !== "running") {
+    return res.status(409).json({ ok: false, error: `Job already ${job.state}`, job: jobView(job) });
+  }
+  job.controller.abort();
+  if (job.state === "queued") {
+    job.state = "cancelled";
+    job.finished_at = job.updated_at = new Date().toISOString();
+    log("JOB", job.id, job.where, job.state);
+    publishProgress(job.id, "end", { state: job.state, status: 499 });
+    deliverCallback(job);
+  }
+  return res.json({ ok: true, job: jobView(job) });
+});
+
+// --- PROBE (metadatos completos del medio) ---
+async function runProbe(body, reqInfo, progress) {
+  const { video_url, source, keyframes = false, max_keyframes = 20000 } = body;
+
+  progress("downloading", 0);
+  const tmpVid = await fetchSource({ video_url, source }, ".mp4", body.cache);
+
+  try {
+    progress("probing", 60);
+    const info = normalizeProbe(await ffprobeJson(tmpVid.name));
+
+    let kf = null;
+    if (keyframes && info.video.length) {
+      progress("keyframes", 80);
+      const maxCount = Math.max(1, Number(max_keyframes) || 20000);
+      const { total, keyframes: times, truncated } = await ffprobeKeyframes(tmpVid.name, maxCount);
+      kf = { count: total, truncated, times };
+    }
+
+    return {
+      ok: true,
+      ...reqInfo,
+      source_cache: tmpVid.cache,
+      ...info,
+      keyframes: kf,
+    };
+  } finally {
+    tmpVid.removeCallback();
+  }
+}
+
+app.post(
+  "/probe",
+  jobRoute(
+    "probe",
+    "Verifica bucket/path o URL firmada; el archivo debe ser un contenedor de audio/video válido.",
+    requireInput,
+    runProbe
+  )
+);
+
+// --- EXTRAER AUDIO (WAV/FLAC/Opus/MP3, con chunking por tamaño) ---
+function validateExtractAudio(body) {
+  const bad = requireInput(body);
+  if (bad) return bad;
+  const fmt = String(body.format || "wav").toLowerCase();
+  const spec = AUDIO_FORMATS[fmt];
+  if (!spec) return `Unsupported format: ${body.format} (${Object.keys(AUDIO_FORMATS).join("|")})`;
+  if (body.sample_rate !== undefined && !spec.sampleRates.includes(Number(body.sample_rate))) {
+    return `Unsupported sample_rate for ${fmt}: ${body.sample_rate} (${spec.sampleRates.join("|")})`;
+  }
+  if (body.bitrate_kbps !== undefined) {
+    if (spec.lossless) return `bitrate_kbps does not apply to ${fmt} (opus|mp3 only)`;
+    const sr = Number(body.sample_rate ?? 16000);
+    const [min, max] = audioBitrateRange(fmt, sr);
+    if (!numberIn(body.bitrate_kbps, min, max)) {
+      return `bitrate_kbps for ${fmt} at ${sr} Hz must be between ${min} and ${max}`;
+    }
+  }
+  if (!numberIn(body.target_mb, 1, 1024)) return "target_mb must be a number between 1 and 1024";
+  if (!numberIn(body.min_chunk_seconds, 1, 3600)) return "min_chunk_seconds must be a number between 1 and 3600";
+  if (!numberIn(body.overlap_seconds, 0, 60)) return "overlap_seconds must be a number between 0 and 60";
+  if (body.align_silence !== undefined && typeof body.align_silence !== "boolean") {
+    return "align_silence must be a boolean";
+  }
+  if (!numberIn(body.silence_tolerance_seconds, 0, 60)) {
+    return "silence_tolerance_seconds must be a number between 0 and 60";
+  }
+  if (!numberIn(body.silence_db, -100, 0)) return "silence_db must be a number between -100 and 0";
+  if (!numberIn(body.silence_min_seconds, 0.05, 10)) {
+    return "silence_min_seconds must be a number between 0.05 and 10";
+  }
+  return (
+    validateAudioSelector(body.audio) ||
+    validateCleanup(body.cleanup) ||
+    validateRemoveSilence(body.remove_silence)
+  );
+}
+
+/**
+ * Pipeline común de /extract-audio y /transcribe: descarga, elige pista, extrae el maestro
+ * WAV, lo codifica y, si no cabe en target_mb, lo parte en chunks. Devuelve archivos
+ * locales (`single` o `parts`); el llamador los consume y luego llama a `cleanup()`.
+ */
+async function prepareAudio(body, progress) {
+  const {
+    video_url,
+    source,
+    format = "wav",         // wav | flac | opus | mp3
+    sample_rate = 16000,
+    bitrate_kbps,           // sólo opus/mp3 (default por formato)
+    target_mb = 21,         // objetivo por archivo (único o por chunk)
+    min_chunk_seconds = 10, // piso de duración por chunk
+    overlap_seconds = 0,    // solape entre chunks consecutivos
+    align_silence = false,  // mover cortes al silencio más cercano
+    silence_tolerance_seconds = 3, // ventana hacia atrás para buscar silencio
+    silence_db = -35,
+    silence_min_seconds = 0.3,
+    cleanup: speechCleanup = false, // preprocesado de voz (ver speechCleanupFilters)
+    remove_silence = false,         // quitar silencios largos (ver removeSilences)
+  } = body;
+
+  const fmt = String(format).toLowerCase();
+  const spec = AUDIO_FORMATS[fmt];
+  const sr = Number(sample_rate) || 16000;
+  const kbps = spec.lossless ? null : Number(bitrate_kbps) || spec.defaultKbps;
+
+  // Descarga del video de origen
+  progress("downloading", 0);
+  const tmpVid = await fetchSource({ video_url, source }, ".mp4", body.cache);
+
+  // Temporales que se van creando; si algo falla se liberan todos (incluido el pin de la caché)
+  let wavPath = null;
+  let fullPath = null;
+  let dir = null;
+  const cleanup = () => {
+    wavPath && fs.existsSync(wavPath) && fs.unlinkSync(wavPath);
+    fullPath && fs.existsSync(fullPath) && fs.unlinkSync(fullPath);
+    dir?.removeCallback?.();
+    tmpVid.removeCallback?.();
+  };
+
+  try {
+    // Verificar pista de audio
+    progress("probing", 10);
+    const hasAudio = await hasAudioStream(tmpVid.name);
+    if (!hasAudio) {
+      cleanup();
+      return { hasAudio: false, sourceCache: tmpVid.cache };
+    }
+
+    // Pista según el selector `audio` (o la preferencia de idioma por defecto)
+    const audioStream = await selectAudioStream(tmpVid.name, body.audio);
+    const bestIdx = audioStream.index;
+
+    // Maestro WAV mono (pcm_s16le) — evita artefactos y loops del ASR; todo se codifica desde aquí
+    progress("extracting", 20);
+    // Duración ilegible => null: chargeMedia la rechaza (422) si la key tiene cuota de media.
+    // Cancelación y timeout del probe sí se propagan
+    const srcDuration = await getDurationSeconds(tmpVid.name).catch((e) => {
+      if (e.code === "PROCESS_CANCELLED" || e.code === "PROCESS_TIMEOUT") throw e;
+      return null;
+    });
+    chargeMedia(srcDuration);
+    wavPath = await extractCleanWav(
+      tmpVid.name,
+      bestIdx,
+      sr,
+      ffmpegProgress(progress, "extracting", 20, remove_silence ? 26 : 30, srcDuration || 0),
+      speechCleanup
+    );
+
+    // Sin silencios el timeline cambia: timeMap traduce tiempos procesados => fuente
+    let timeMap = null;
+    if (remove_silence) {
+      progress("removing_silence", 26);
+      timeMap = await removeSilences(
+        wavPath,
+        await getDurationSeconds(wavPath),
+        remove_silence === true ? {} : remove_silence
+      );
+    }
+    const duration = await getDurationSeconds(wavPath); // segundos
+
+    // Archivo completo en el formato pedido (para wav es el propio maestro)
+    fullPath = fmt === "wav" ? wavPath : `/tmp/audio_${uuidv4()}.${spec.ext}`;
+    if (fmt !== "wav") {
+      progress("encoding", 30);
+      const onProgress = ffmpegProgress(progress, "encoding", 30, 40, duration);
+      await encodeAudio(wavPath, fullPath, fmt, kbps, null, null, onProgress);
+    }
+
+    // Tamaño objetivo (por archivo)
+    const targetBytes = Math.max(1, Number(target_mb) || 24) * 1024 * 1024;
+
+    // Bitrate real del archivo codificado => estimación de duración por chunk
+    const oneSize = fs.statSync(fullPath).size;
+    const bytesPerSecond = oneSize / duration;
+    const produced = (await ffprobeAudioStreams(fullPath))[0] || {};
+
+    const result = {
+      hasAudio: true,
+      sourceCache: tmpVid.cache,
+      spec,
+      sampleRate: sr,
+      duration,
+      bestIdx,
+      audioStream,
+      speechFilters: speechCleanupFilters(speechCleanup, sr),
+      timeMap,
+      targetMb: Number(target_mb) || 24,
+      outInfo: {
+        format: fmt,
+        codec: produced.codec_name || spec.codec,
+        sample_rate: produced.sample_rate || sr,
+        bitrate_kbps: Math.round((bytesPerSecond * 8) / 1000),
+      },
+      cleanup,
+    };
+
+    // Si cabe en un solo archivo => listo
+    if (oneSize <= targetBytes) {
+      return { ...result, chunked: false, single: { path: fullPath, size_bytes: oneSize } };
+    }
+
+    // Si NO cabe: calcular segTime para que cada chunk <= targetBytes con el bitrate real
+    // (PCM es exacto; los formatos VBR llevan un margen y se verifican tras codificar)
+    const minChunk = Math.max(1, Number(min_chunk_seconds) || 10);
+    let segBySize = Math.floor((targetBytes * (fmt === "wav" ? 1 : 0.97)) / bytesPerSecond);
+
+    // Opcional: mover cada corte al silencio más cercano
+    let silences = null;
+    if (align_silence) {
+      progress("silencedetect", 40);
+      silences = await detectSilences(
+        wavPath,
+        Number(silence_db) || -35,
+        Math.max(0.05, Number(silence_min_seconds) || 0.3)
+      );
+    }
+
+    let segTime, overlap, plan, files, maxSize;
+    for (let attempt = 0; ; attempt++) {
+      segTime = Math.max(minChunk, segBySize);
+      // Solape real entre chunks consecutivos (acotado a la mitad del chunk)
+      overlap = Math.min(Math.max(0, Number(overlap_seconds) || 0), segTime / 2);
+      plan = planChunks(duration, segTime, {
+        overlap,
+        silences,
+        tolerance: Math.max(0, Number(silence_tolerance_seconds) || 0),
+      });
+
+      // Cortar/codificar desde el maestro
+      progress("segmenting", 50);
+      ({ dir, files } = await encodeAudioChunks(wavPath, plan, fmt, kbps));
+      if (!files.length) throw new Error("Segmentation produced no files");
+
+      // Verificación tras codificar: si algún chunk se pasa, reducir y repetir
+      maxSize = Math.max(...files.map((f) => fs.statSync(`${dir.name}/${f}`).size));
+      if (maxSize <= targetBytes || segTime <= minChunk || attempt >= 2) break;
+      dir.removeCallback?.();
+      dir = null;
+      segBySize = Math.floor(((segTime * targetBytes) / maxSize) * 0.95);
+    }
+    // Sin margen para achicar (min_chunk_seconds / bitrate): mejor fallar que entregar chunks
+    // que la API de transcripción va a rechazar
+    if (maxSize > targetBytes) {
+      throw chunkTooLargeError(maxSize, targetBytes, segTime, minChunk);
+    }
+
+    // Metadatos start/end: los del plan, exactos para re-unir transcripciones
+    const parts = files.map((filename, i) => ({
+      index: i,
+      path: `${dir.name}/${filename}`,
+      filename,
+      start: plan[i].start,
+      end: plan[i].end,
+      boundary: plan[i].boundary,
+      overlap_prev_seconds: i > 0 ? Number((plan[i - 1].end - plan[i].start).toFixed(3)) : 0,
+    }));
+
+    return {
+      ...result,
+      chunked: true,
+      parts,
+      segmentSeconds: segTime,
+      overlap,
+      alignSilence: !!align_silence,
+      silencesDetected: silences ? silences.length : null,
+    };
+  } catch (e) {
+    cleanup();
+    throw e;
+  }
+}
+
+function chunkTooLargeError(maxSize, targetBytes, segTime, minChunk) {
+  const mb = (b) => Number((b / 1024 / 1024).toFixed(2));
+  const e = new Error(
+    `Audio chunks still exceed target_mb after resizing: largest ${mb(maxSize)} MB > ${mb(targetBytes)} MB ` +
+      `(chunk ${segTime}s, min_chunk_seconds ${minChunk}). Lower bitrate_kbps/min_chunk_seconds or raise target_mb.`
+  );
+  e.code = "CHUNK_TOO_LARGE";
+  e.size_bytes = maxSize;
+  e.target_bytes = targetBytes;
+  return e;
+}
+
+async function runExtractAudio(body, reqInfo, progress) {
+  const { storage } = body; // { driver?, bucket? } destino de salida
+
+  const audio = await prepareAudio(body, progress);
+  if (!audio.hasAudio) {
+    return {
+      ok: true,
+      ...reqInfo,
+      source_cache: audio.sourceCache,
+      note: "El archivo no contiene pista de audio.",
+      audio_url: null,
+    };
+  }
+  const { spec, duration, bestIdx, outInfo } = audio;
+
+  try {
+    // Un solo archivo => subir y salir
+    if (!audio.chunked) {
+      progress("uploading", 80);
+      const id = uuidv4();
+      const url = await uploadToStorage(
+        audio.single.path,
+        `audio/${id}_${audio.sampleRate / 1000}k.${spec.ext}`,
+        spec.contentType,
+        storage
+      );
+
+      return {
+        ok: true,
+        ...reqInfo,
+        source_cache: audio.sourceCache,
+        chunked: false,
+        audio_url: url,
+        ...outInfo,
+        duration_seconds: Math.round(duration),
+        target_mb: audio.targetMb,
+        size_bytes: audio.single.size_bytes,
+        audio_stream_index: bestIdx,
+        audio_stream: audio.audioStream,
+        speech_cleanup: audio.speechFilters.length ? audio.speechFilters : null,
+        time_map: audio.timeMap
+      };
+    }
+
+    // Subir chunks + metadatos start/end
+    const id = uuidv4();
+    const chunks = [];
+
+    for (const part of audio.parts) {
+      const i = part.index;
+      progress("uploading", 60 + (40 * i) / audio.parts.length);
+      const partDuration = await getDurationSeconds(part.path);
+      const url = await uploadToStorage(
+        part.path,
+        `audio/${id}/chunk_${String(i).padStart(3, "0")}.${spec.ext}`,
+        spec.contentType,
+        storage
+      );
+
+      chunks.push({
+        index: i,
+        url,
+        start: Number(part.start.toFixed(3)),
+        end: Number(part.end.toFixed(3)),
+        duration_seconds: Number(partDuration.toFixed(3)),
+        // Con remove_silence, start/end son del audio procesado; original_* de la fuente
+        ...(audio.timeMap
+          ? {
+              original_start: toOriginalTime(audio.timeMap, part.start),
+              original_end: toOriginalTime(audio.timeMap, part.end),
+            }
+          : {}),
+        overlap_prev_seconds: part.overlap_prev_seconds,
+        boundary: part.boundary,
+        size_bytes: fs.statSync(part.path).size,
+        filename: part.filename
+      });
+    }
+
+    return {
+      ok: true,
+      ...reqInfo,
+      source_cache: audio.sourceCache,
+      chunked: true,
+      ...outInfo,
+      duration_seconds: Math.round(duration),
+      target_mb: audio.targetMb,
+      segment_seconds: audio.segmentSeconds,
+      overlap_seconds: audio.overlap,
+      align_silence: audio.alignSilence,
+      silences_detected: audio.silencesDetected,
+      audio_stream_index: bestIdx,
+      audio_stream: audio.audioStream,
+      speech_cleanup: audio.speechFilters.length ? audio.speechFilters : null,
+      time_map: audio.timeMap,
+      audio_chunks: chunks
+    };
+  } finally {
+    // Limpieza
+    audio.cleanup();
+  }
+}
+
+app.post(
+  "/extract-audio",
+  jobRoute(
+    "extract-audio",
+    "Verifica bucket/path o URL firmada y permisos.",
+    validateExtractAudio,
+    runExtractAudio
+  )
+);
+
+// --- TRANSCRIBE (extracción + chunks + API Whisper-compatible + SRT/VTT) ---
+async function runTranscribe(body, reqInfo, progress) {
+  const { storage, language, prompt, model, temperature, words = false } = body;
+
+  // Defaults pensados para ASR: solape y cortes en silencio para no partir palabras
+  const audio = await prepareAudio(
+    { overlap_seconds: 2, align_silence: true, ...body },
+    (stage, pct, extra) => progress(stage, pct * 0.4, extra)
+  );
+  if (!audio.hasAudio) {
+    return {
+      ok: true,
+      ...reqInfo,
+      source_cache: audio.sourceCache,
+      note: "El archivo no contiene pista de audio.",
+      text: "",
+      segments: [],
+    };
+  }
+
+  try {
+    const parts = audio.chunked
+      ? audio.parts
+      : [
+          {
+            index: 0,
+            path: audio.single.path,
+            filename: `audio.${audio.spec.ext}`,
+            start: 0,
+            end: audio.duration,
+          },
+        ];
+
+    const opts = { language, prompt, model, temperature, words };
+    const results = [];
+    for (const part of parts) {
+      progress("transcribing", 40 + (50 * part.index) / parts.length);
+      const data = await transcribeFile(part.path, part.filename, audio.spec.contentType, opts);
+      results.push({ start: part.start, end: part.end, data });
+    }
+
+    let { segments, words: wordList } = stitchTranscripts(results);
+    // remove_silence: los tiempos se devuelven (y se escriben en SRT/VTT) en el timeline de la fuente
+    if (audio.timeMap) {
+      const back = (x) => ({
+        ...x,
+        start: toOriginalTime(audio.timeMap, x.start),
+        end: toOriginalTime(audio.timeMap, x.end),
+      });
+      segments = segments.map(back);
+      wordList = wordList?.map(back);
+    }
+    const text = segments.map((s) => s.text).join(" ");
+
+    // SRT + VTT al storage
+    progress("uploading", 90);
+    const id = uuidv4();
+    const srtPath = `/tmp/transcript_${id}.srt`;
+    const vttPath = `/tmp/transcript_${id}.vtt`;
+    let srtUrl, vttUrl;
+    try {
+      fs.writeFileSync(srtPath, segmentsToSrt(segments));
+      fs.writeFileSync(vttPath, segmentsToVtt(segments));
+      srtUrl = await uploadToStorage(srtPath, `transcripts/${id}.srt`, "application/x-subrip", storage);
+      vttUrl = await uploadToStorage(vttPath, `transcripts/${id}.vtt`, "text/vtt", storage);
+    } finally {
+      fs.existsSync(srtPath) && fs.unlinkSync(srtPath);
+      fs.existsSync(vttPath) && fs.unlinkSync(vttPath);
+    }
+
+    return {
+      ok: true,
+      ...reqInfo,
+      source_cache: audio.sourceCache,
+      language: results.find((r) => r.data?.language)?.data.language || language || null,
+      model: model || TRANSCRIBE_MODEL,
+      duration_seconds: Math.round(audio.duration),
+      audio_stream_index: audio.bestIdx,
+      audio_stream: audio.audioStream,
+      speech_cleanup: audio.speechFilters.length ? audio.speechFilters : null,
+      time_map: audio.timeMap,
+      chunks: results.length,
+      overlap_seconds: audio.chunked ? audio.overlap : 0,
+      text,
+      segments,
+      words: words ? wordList : undefined,
+      srt_url: srtUrl,
+      vtt_url: vttUrl,
+    };
+  } finally {
+    audio.cleanup();
+  }
+}
+
+app.post(
+  "/transcribe",
+  jobRoute(
+    "transcribe",
+    "Verifica TRANSCRIBE_API_URL/TRANSCRIBE_API_KEY y que el servidor acepte /audio/transcriptions.",
+    validateExtractAudio,
+    runTranscribe
+  )
+);
+
+// --- ASTATS (detección de energía / risas) ---
+const ASTATS_RMS_FLOOR = -120;
+const ASTATS_LUFS_FLOOR = -70;
+
+// Lee un log de ametadata (file=) línea a línea: [{ t, v }] sin cargar el log entero en memoria
+async function readMetadataLog(file, floor) {
+  const pts = [];
+  if (!fs.existsSync(file)) return pts;
+  const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let t = null;
+  for await (const line of rl) {
+    const mt = /pts_time[:=]\s*(-?\d+(?:\.\d+)?)/.exec(line);
+    if (mt) {
+      t = parseFloat(mt[1]);
+      continue;
+    }
+    const mv = /^lavfi\.[\w.]+=(.*)$/.exec(line.trim());
+    if (mv && t !== null) {
+      const v = parseFloat(mv[1]);
+      pts.push({ t, v: Number.isFinite(v) ? Math.max(v, floor) : floor });
+      t = null;
+    }
+  }
+  return pts;
+}
+
+/**
+ * Una sola pasada de ffmpeg: RMS (astats) y, opcionalmente, loudness short-term EBU R128
+ * (ebur128, ventana de 3 s) por ventana de `window` segundos. Cada métrica se escribe a su
+ * propio archivo y se lee en streaming, así fuentes de horas no revientan el buffer de exec.
+ */
+async function measureEnergy(srcPath, { maxSec, window, loudness, streamIndex }) {
+  const dir = tmp.dirSync({ unsafeCleanup: true });
+  try {
+    const rmsLog = `${dir.name}/rms.log`;
+    const lufsLog = `${dir.name}/lufs.log`;
+    const sr = loudness ? 48000 : 16000;
+    const filter = [
+      `aresample=${sr}`,
+      "aformat=channel_layouts=mono",
+      window ? `asetnsamples=n=${Math.max(1, Math.round(window * sr))}:p=0` : null,
+      "astats=metadata=1:reset=1",
+      `ametadata=mode=print:key=lavfi.astats.Overall.RMS_level:file=${rmsLog}`,
+      loudness ? "ebur128=metadata=1" : null,
+      loudness ? `ametadata=mode=print:key=lavfi.r128.S:file=${lufsLog}` : null,
+    ]
+      .filter(Boolean)
+      .join(",");
+    const limit = maxSec ? ["-t", maxSec] : [];
+    const base = ["-hide_banner", "-loglevel", "warning", "-y", "-nostdin", ...limit, "-i", srcPath];
+    try {
+      await runFfmpeg([...base, "-map", `0:${streamIndex}`, "-vn", "-af", filter, "-f", "null", "-"]);
+    } catch (e) {
+      if (!isRetryableProcessError(e)) throw e;
+      await runFfmpeg([...base, "-vn", "-af", filter, "-f", "null", "-"]);
+    }
+    const rms = await readMetadataLog(rmsLog, ASTATS_RMS_FLOOR);
+    const lufs = loudness ? await readMetadataLog(lufsLog, ASTATS_LUFS_FLOOR) : [];
+    // Ambos ametadata ven los mismos frames en el mismo orden
+    return rms.map((p, i) => (loudness ? { t: p.t, rms: p.v, lufs: lufs[i]?.v ?? ASTATS_LUFS_FLOOR } : { t: p.t, rms: p.v }));
+  } finally {
+    dir.removeCallback();
+  }
+}
+
+function median(values) {
+  if (!values.length) return null;
+  const s = [...values].sort((a, b) => a - b);
+  const m = Math.floor(s.length / 2);
+  return s.length % 2 ? s[m] : (s[m - 1] + s[m]) / 2;
+}
+
+// Puntos con t en [start, end) sobre un array ordenado por t
+function pointsIn(pts, start, end) {
+  let lo = 0;
+  let hi = pts.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (pts[mid].t < start) lo = mid + 1;
+    else hi = mid;
+  }
+  const outPts = [];
+  for (let i = lo; i < pts.length && pts[i].t < end; i++) outPts.push(pts[i]);
+  return outPts;
+}
+
+/**
+ * Ajusta un rango a [minDur, maxDur]: los cortos crecen centrados en su pico, los largos
+ * se recortan a la ventana de maxDur con mayor energía media.
+ */
+function fitRangeDuration(range, pts, { minDur, maxDur, total, key }) {
+  let { start, end } = range;
+  const inside = pointsIn(pts, start, end);
+  if (maxDur && end - start > maxDur && inside.length) {
+    let best = { sum: -Infinity, start };
+    let sum = 0;
+    let j = 0;
+    for (let i = 0; i < inside.length; i++) {
+      sum += inside[i][key];
+      while (inside[i].t - inside[j].t >= maxDur) sum -= inside[j++][key];
+      const avg = sum / (i - j + 1);
+      if (avg > best.sum) best = { sum: avg, start: inside[j].t };
+    }
+    start = Math.max(range.start, Math.min(best.start, range.end - maxDur));
+    end = start + maxDur;
+  }
+  if (minDur && end - start < minDur) {
+    const peak = inside.length ? inside.reduce((a, b) => (b[key] > a[key] ? b : a)).t : (start + end) / 2;
+    start = peak - minDur / 2;
+    end = peak + minDur / 2;
+    if (start < 0) [start, end] = [0, minDur];
+    if (total && end > total) [start, end] = [Math.max(0, total - minDur), total];
+  }
+  return { start: Number(start.toFixed(3)), end: Number(end.toFixed(3)) };
+}
+
+/**
+ * Puntúa cada rango por su pico y por cuánto sube sobre la línea base local (mediana de
+ * los `baselineWindow` segundos alrededor, excluyendo el propio rango). Unidades: dB/LU.
+ */
+function scoreRanges(ranges, pts, { key, baselineWindow, globalMedian }) {
+  return ranges.map((r) => {
+    const inside = pointsIn(pts, r.start, r.end).map((p) => p[key]);
+    const around = [
+      ...pointsIn(pts, r.start - baselineWindow, r.start),
+      ...pointsIn(pts, r.end, r.end + baselineWindow),
+    ].map((p) => p[key]);
+    const peak = inside.length ? Math.max(...inside) : globalMedian;
+    const mean = inside.length ? inside.reduce((a, b) => a + b, 0) / inside.length : globalMedian;
+    const baseline = median(around) ?? globalMedian;
+    const rise = mean - baseline;
+    const score = 0.6 * rise + 0.4 * (peak - globalMedian);
+    return {
+      start: r.start,
+      end: r.end,
+      duration: Number((r.end - r.start).toFixed(3)),
+      score: Number(score.toFixed(2)),
+      peak: Number(peak.toFixed(2)),
+      mean: Number(mean.toFixed(2)),
+      baseline: Number(baseline.toFixed(2)),
+      rise: Number(rise.toFixed(2)),
+    };
+  });
+}
+
+// Top N sin solapes: un candidato que pisa más de la mitad de otro mejor se descarta
+function pickTopCandidates(scored, topN) {
+  const picked = [];
+  for (const c of [...scored].sort((a, b) => b.score - a.score)) {
+    const overlaps = picked.some((p) => {
+      const inter = Math.min(p.end, c.end) - Math.max(p.start, c.start);
+      return inter > 0.5 * Math.min(p.duration, c.duration);
+    });
+    if (!overlaps) picked.push(c);
+    if (picked.length >= topN) break;
+  }
+  return picked.map((c, i) => ({ rank: i + 1, ...c }));
+}
+
+// Serie de energía reducida a ~n puntos (media por bucket) para gráficas
+function downsampleSeries(pts, n) {
+  if (!n || !pts.length) return null;
+  const size = Math.max(1, Math.ceil(pts.length / n));
+  const out = [];
+  for (let i = 0; i < pts.length; i += size) {
+    const chunk = pts.slice(i, i + size);
+    const avg = (k) => Number((chunk.reduce((a, p) => a + p[k], 0) / chunk.length).toFixed(2));
+    out.push({ t: Number(chunk[0].t.toFixed(3)), rms: avg("rms"), ...(chunk[0].lufs !== undefined ? { lufs: avg("lufs") } : {}) });
+  }
+  return out;
+}
+
+function validateAstats(body) {
+  const bad = requireInput(body);
+  if (bad) return bad;
+  if (body.max_seconds !== undefined && !(Number(body.max_seconds) >= 0)) {
+    return "max_seconds must be >= 0 (0 = whole source)";
+  }
+  if (!numberIn(body.base_db, -100, 0)) return "base_db must be a number between -100 and 0";
+  if (!numberIn(body.percentile, 0, 1)) return "percentile must be a number between 0 and 1";
+  if (!numberIn(body.pad, 0, 60) || !numberIn(body.merge_gap, 0, 60)) {
+    return "pad and merge_gap must be numbers between 0 and 60";
+  }
+  const badAudio = validateAudioSelector(body.audio);
+  if (badAudio) return badAudio;
+  if (!body.rank) return null;
+  const { min_duration, max_duration, top_n, series_points, window } = body;
+  for (const [k, v] of Object.entries({ min_duration, max_duration, top_n, series_points, window })) {
+    if (v !== undefined && !(typeof v === "number" && v >= 0)) return `${k} must be a number >= 0`;
+  }
+  if (min_duration && max_duration && max_duration < min_duration) {
+    return "max_duration must be >= min_duration";
+  }
+  if (window !== undefined && (window < 0.1 || window > 5)) return "window must be in [0.1, 5] seconds";
+  // Segundos a cada lado del rango para el baseline local de scoreRanges
+  if (!numberIn(body.baseline_window, 1, 600)) return "baseline_window must be a number in [1, 600] seconds";
+  return null;
+}
+
+async function runAstats(body, reqInfo, progress) {
+  const {
+    video_url,
+    source,
+    max_seconds = 1200, // 20 min; 0 = fuente completa
+    percentile = 0.6,
+    base_db = -35,
+    pad = 1.2,
+    merge_gap = 1.0,
+  } = body;
+
+  const maxSec = Number(max_seconds) === 0 ? 0 : Math.max(1, Number(max_seconds) || 1200);
+  progress("downloading", 0);
+  const tmpVid = await fetchSource({ video_url, source }, ".mp4", body.cache);
+
+  try {
+    progress("probing", 30);
+    const hasAudio = await hasAudioStream(tmpVid.name);
+    const duration = await getDurationSeconds(tmpVid.name).catch(() => null);
+    const MAX_T = maxSec ? Math.min(maxSec, duration || maxSec) : duration || Infinity;
+    const limited = Boolean(maxSec) && !(duration && duration <= maxSec);
+    if (!hasAudio) {
+      return {
+        ok: true,
+        ...reqInfo,
+        source_cache: tmpVid.cache,
+        threshold: Number(base_db),
+        ranges: [],
+        limited,
+        points: 0,
+        note: "No se encontró pista de audio en el video.",
+        method: "no_audio",
+        mode: parseSource(source) ? "sdk" : "http",
+        audio_stream: null,
+      };
+    }
+
+    let pts = [];
+    let method = body.rank ? "astats_ebur128" : "astats_ametadata";
+    let audioStream;
+
+    progress("analyzing", 40);
+    // Sin duración (fuente completa y ffprobe no la reporta) no hay qué cobrar: con cuota, 422
+    chargeMedia(Number.isFinite(MAX_T) ? MAX_T : null);
+    try {
+      audioStream = await selectAudioStream(tmpVid.name, body.audio);
+      pts = await measureEnergy(tmpVid.name, {
+        maxSec,
+        window: body.rank ? (body.window ?? 0.5) : null,
+        loudness: Boolean(body.rank),
+        streamIndex: audioStream.index,
+      });
+      pts = pts.filter((p) => p.t <= MAX_T);
+    } catch (e) {
+      if (!isRetryableProcessError(e)) throw e;
+      method = "silencedetect_fallback";
+      const sdFilter = [
+        "aresample=16000:resampler=soxr:precision=16",
+        "aformat=channel_layouts=mono",
+        `silencedetect=noise=${Number(base_db)}dB:d=0.2`,
+      ].join(",");
+      const limit = maxSec ? ["-t", maxSec] : [];
+      // silencedetect reporta en nivel info
+      const { stdout: sdOut, stderr: sdErr } = await runFfmpeg([
+        "-hide_banner", "-loglevel", "info", "-y", "-nostdin",
+        ...limit,
+        "-i", tmpVid.name,
+        ...(audioStream ? ["-map", `0:${audioStream.index}`] : []),
+        "-vn", "-af", sdFilter, "-f", "null", "-",
+      ]);
+      const out = `${sdOut}\n${sdErr}`;
+
       const noise = [];
       const re = /silence_(start|end):\s*([-\d.]+)/g;
       let m;
       while ((m = re.exec(out)) !== null) noise.push({ k: m[1], v: parseFloat(m[2]) });
 
-      let last = 0,
-        ranges = [];
-      for (let i = 0; i < noise.length; i++) {
-        if (noise[i].k === "start") {
-          const end = Math.min(noise[i].v, MAX_T);
-          if (end > last) ranges.push({ start: last, end });
-        } else if (noise[i].k === "end") {
-          last = Math.min(last, MAX_T);
-          last = Math.min(noise[i].v, MAX_T);
-        }
-      }
-      if (last < MAX_T) ranges.push({ start: last, end: MAX_T });
+      let last = 0,
+        ranges = [];
+      for (let i = 0; i < noise.length; i++) {
+        if (noise[i].k === "start") {
+          const end = Math.min(noise[i].v, MAX_T);
+          if (end > last) ranges.push({ start: last, end });
+        } else if (noise[i].k === "end") {
+          last = Math.min(last, MAX_T);
+          last = Math.min(noise[i].v, MAX_T);
+        }
+      }
+      if (last < MAX_T && Number.isFinite(MAX_T)) ranges.push({ start: last, end: MAX_T });
+
+      return {
+        ok: true,
+        ...reqInfo,
+        source_cache: tmpVid.cache,
+        threshold: Number(base_db),
+        ranges,
+        limited,
+        points: 0,
+        method,
+        mode: parseSource(source) ? "sdk" : "http",
+        audio_stream: audioStream ?? null,
+      };
+    }
+    progress("ranking", 90);
+
+    if (!pts.length) {
+      return {
+        ok: true,
+        ...reqInfo,
+        source_cache: tmpVid.cache,
+        threshold: Number(base_db),
+        ranges: [],
+        limited,
+        points: 0,
+        note: "No se detectaron líneas de RMS en el log.",
+        method,
+        mode: parseSource(source) ? "sdk" : "http",
+        audio_stream: audioStream ?? null,
+      };
+    }
+
+    const sorted = [...pts].map((p) => p.rms).sort((a, b) => a - b);
+    const idx = Math.min(sorted.length - 1, Math.max(0, Math.floor(sorted.length * percentile)));
+    const pctl = sorted[idx];
+    const TH = Math.max(Number(pctl), Number(base_db));
+
+    const PAD = Number(pad) || 1.2;
+    const MERGE = Number(merge_gap) || 1.0;
+    let raw = [],
+      cur = null;
+    for (const p of pts) {
+      if (p.t > MAX_T) break;
+      if (p.rms >= TH) (cur ? (cur.end = p.t) : (cur = { start: p.t, end: p.t }));
+      else if (cur) {
+        raw.push(cur);
+        cur = null;
+      }
+    }
+    if (cur) raw.push(cur);
+
+    let ranges = raw
+      .map((r) => ({ start: Math.max(0, r.start - PAD), end: r.end + PAD }))
+      .sort((a, b) => a.start - b.start);
+
+    let merged = [];
+    for (const r of ranges) {
+      const last = merged[merged.length - 1];
+      if (!last || r.start - last.end > MERGE) merged.push({ ...r });
+      else last.end = Math.max(last.end, r.end);
+    }
+
+    // Modo ranking: candidatos con duración objetivo, puntuados por loudness short-term
+    let ranking = {};
+    if (body.rank) {
+      const key = "lufs";
+      const opts = {
+        minDur: body.min_duration ?? 0,
+        maxDur: body.max_duration ?? 0,
+        total: Number.isFinite(MAX_T) ? MAX_T : pts[pts.length - 1].t,
+        key,
+      };
+      const baselineWindow = body.baseline_window ?? 30;
+      const globalMedian = median(pts.map((p) => p[key]));
+      const scored = scoreRanges(
+        merged.map((r) => fitRangeDuration(r, pts, opts)),
+        pts,
+        { key, baselineWindow, globalMedian }
+      );
+      ranking = {
+        candidates: pickTopCandidates(scored, body.top_n ?? 5),
+        scoring: {
+          metric: "ebur128_short_term",
+          unit: "LUFS",
+          window: body.window ?? 0.5,
+          baseline_window: baselineWindow,
+          global_median: Number(globalMedian.toFixed(2)),
+          min_duration: opts.minDur || null,
+          max_duration: opts.maxDur || null,
+        },
+      };
+    }
+    const series = downsampleSeries(pts, body.series_points);
+
+    return {
+      ok: true,
+      ...reqInfo,
+      source_cache: tmpVid.cache,
+      threshold: Number(TH),
+      ranges: merged,
+      ...ranking,
+      ...(series ? { series } : {}),
+      limited,
+      analyzed_seconds: Number.isFinite(MAX_T) ? MAX_T : null,
+      points: pts.length,
+      method,
+      mode: parseSource(source) ? "sdk" : "http",
+      audio_stream: audioStream ?? null,
+    };
+  } finally {
+    tmpVid.removeCallback();
+  }
+}
+
+app.post(
+  "/astats",
+  jobRoute(
+    "astats",
+    "Si usas source.bucket/path verifica que existan; si usas URL firmada, prueba /echo para confirmar el payload.",
+    validateAstats,
+    runAstats
+  )
+);
+
+// --- SCENES (cambios de plano + keyframes) ---
+function validateScenes(body) {
+  const bad = requireInput(body);
+  if (bad) return bad;
+  const { threshold, start_time, end_time } = body;
+  if (threshold !== undefined && !(typeof threshold === "number" && threshold > 0 && threshold < 1)) {
+    return "threshold must be a number between 0 and 1";
+  }
+  if (start_time !== undefined || end_time !== undefined) {
+    if (start_time !== undefined && typeof start_time !== "number") return "start_time must be numeric";
+    if (end_time !== undefined && typeof end_time !== "number") return "end_time must be numeric";
+    if (end_time !== undefined && end_time <= (start_time || 0)) return "end_time must be > start_time";
+  }
+  if (!numberIn(body.min_scene_seconds, 0, 3600)) return "min_scene_seconds must be a number between 0 and 3600";
+  if (body.keyframes !== undefined && typeof body.keyframes !== "boolean") return "keyframes must be a boolean";
+  const maxKf = body.max_keyframes;
+  if (maxKf !== undefined && !(Number.isInteger(maxKf) && maxKf >= 1 && maxKf <= 20000)) {
+    return "max_keyframes must be an integer between 1 and 20000";
+  }
+  return null;
+}
+
+// La ventana pedida cae fuera de la fuente (start_time >= duración): sólo se sabe tras el probe
+function emptyRangeError(from, duration) {
+  const e = new Error(`Empty range: start_time ${from} >= source duration ${Number(duration.toFixed(3))}`);
+  e.code = "EMPTY_RANGE";
+  return e;
+}
+
+async function runScenes(body, reqInfo, progress) {
+  const {
+    video_url,
+    source,
+    threshold = 0.3,       // score de escena (0..1); más bajo = más cortes
+    start_time,            // ventana opcional a analizar
+    end_time,
+    min_scene_seconds = 0.5, // descarta cortes más cercanos que esto al anterior
+    keyframes = true,
+    max_keyframes = 20000,
+  } = body;
+
+  progress("downloading", 0);
+  const tmpVid = await fetchSource({ video_url, source }, ".mp4", body.cache);
+
+  try {
+    progress("probing", 20);
+    const duration = await getDurationSeconds(tmpVid.name);
+    const from = Math.max(0, start_time || 0);
+    const to = Math.min(end_time ?? duration, duration);
+    if (from >= to) throw emptyRangeError(from, duration);
+    const window = from > 0 || to < duration ? { start: from, duration: to - from } : null;
+    chargeMedia(to - from);
+
+    progress("scenes", 30);
+    const minGap = min_scene_seconds;
+    const boundaries = [];
+    for (const c of await detectSceneChanges(tmpVid.name, threshold, window)) {
+      const prevT = boundaries.length ? boundaries[boundaries.length - 1].t : from;
+      if (c.t > from && c.t < to && c.t - prevT >= minGap) boundaries.push(c);
+    }
+
+    // Planos entre cortes: [from, b1), [b1, b2), … [bn, to]
+    const cuts = [{ t: from, score: null }, ...boundaries];
+    const scenes = cuts.map((c, i) => {
+      const end = i + 1 < cuts.length ? cuts[i + 1].t : to;
+      return {
+        index: i,
+        start: Number(c.t.toFixed(3)),
+        end: Number(end.toFixed(3)),
+        duration: Number((end - c.t).toFixed(3)),
+        score: c.score,
+      };
+    });
+
+    let kf = null;
+    if (keyframes) {
+      progress("keyframes", 80);
+      const interval = window ? { start: from, end: to } : null;
+      const res = await ffprobeKeyframes(tmpVid.name, max_keyframes, interval);
+      const times = res.keyframes.filter((t) => t >= from && t <= to);
+      kf = { count: times.length, truncated: res.truncated, times };
+    }
+
+    return {
+      ok: true,
+      ...reqInfo,
+      source_cache: tmpVid.cache,
+      threshold,
+      duration_seconds: Number(duration.toFixed(3)),
+      range: { start: Number(from.toFixed(3)), end: Number(to.toFixed(3)) },
+      boundaries,
+      scenes,
+      keyframes: kf,
+    };
+  } finally {
+    tmpVid.removeCallback();
+  }
+}
+
+app.post(
+  "/scenes",
+  jobRoute(
+    "scenes",
+    "Verifica bucket/path o URL firmada; el archivo debe tener pista de video.",
+    validateScenes,
+    runScenes
+  )
+);
+
+// --- THUMBNAILS (mejor frame, stills, sprite + WebVTT, preview animado) ---
+// Mismo spec en POST /thumbnails y en `thumbnails` de /cut:
+//  { best?: true | { window_seconds?, width? }, stills?: { count, width? },
+//    sprite?: { interval_seconds?, columns?, width?, max_frames? },
+//    preview?: { format?: "gif" | "webp", duration?, fps?, width? } }
+const THUMB_KINDS = ["best", "stills", "sprite", "preview"];
+const THUMB_STILLS_MAX = 50;
+const THUMB_SPRITE_MAX_FRAMES = 400;
+const THUMB_BEST_MAX_FRAMES = 100; // frames que el filtro thumbnail compara (van en memoria)
+const PREVIEW_FORMATS = { gif: "image/gif", webp: "image/webp" };
+
+function validateThumbnails(t) {
+  if (t === undefined || t === null) return null;
+  if (typeof t !== "object" || Array.isArray(t)) {
+    return `thumbnails must be an object { ${THUMB_KINDS.join(", ")} }`;
+  }
+  const obj = (v) => v === undefined || v === true || (v && typeof v === "object" && !Array.isArray(v));
+  for (const k of THUMB_KINDS) if (!obj(t[k])) return `thumbnails.${k} must be true or an object`;
+  const { best, stills, sprite, preview } = t;
+  if (best && !numberIn(best.window_seconds, 1, 60)) return "thumbnails.best.window_seconds must be in [1, 60]";
+  if (stills && !(Number.isInteger(stills.count) && stills.count >= 1 && stills.count <= THUMB_STILLS_MAX)) {
+    return `thumbnails.stills.count must be an integer in [1, ${THUMB_STILLS_MAX}]`;
+  }
+  if (sprite) {
+    if (!numberIn(sprite.interval_seconds, 0.5, 600)) {
+      return "thumbnails.sprite.interval_seconds must be in [0.5, 600]";
+    }
+    // Enteros: van a tile=<cols>x<rows> y a las coordenadas xywh del VTT
+    const { columns, max_frames: frames } = sprite;
+    if (columns !== undefined && !(Number.isInteger(columns) && columns >= 1 && columns <= 20)) {
+      return "thumbnails.sprite.columns must be an integer in [1, 20]";
+    }
+    if (frames !== undefined && !(Number.isInteger(frames) && frames >= 1 && frames <= THUMB_SPRITE_MAX_FRAMES)) {
+      return `thumbnails.sprite.max_frames must be an integer in [1, ${THUMB_SPRITE_MAX_FRAMES}]`;
+    }
+  }
+  if (preview) {
+    if (preview.format !== undefined && !PREVIEW_FORMATS[preview.format]) {
+      return `thumbnails.preview.format must be ${Object.keys(PREVIEW_FORMATS).join("|")}`;
+    }
+    if (!numberIn(preview.duration, 0.5, 10)) {
+      return "thumbnails.preview.duration must be in [0.5, 10] seconds";
+    }
+    if (!numberIn(preview.fps, 1, 24)) return "thumbnails.preview.fps must be in [1, 24]";
+  }
+  for (const k of THUMB_KINDS) {
+    if (t[k]?.width !== undefined && !(Number.isInteger(t[k].width) && t[k].width >= 32 && t[k].width <= 1920)) {
+      return `thumbnails.${k}.width must be an integer in [32, 1920]`;
+    }
+  }
+  return null;
+}
+
+// Mejor frame de [from, from + window]: muestrea a fps bajo y deja elegir al filtro thumbnail
+async function bestFrame(srcPath, from, to, cfg, outPath) {
+  const r3 = (x) => Number(x.toFixed(3));
+  const window = Math.min(cfg.window_seconds ?? 10, to - from);
+  const rate = Math.min(5, THUMB_BEST_MAX_FRAMES / window);
+  const n = Math.max(1, Math.floor(window * rate));
+  const { stderr } = await runFfmpeg([
+    ...FFMPEG_COMMON, "-ss", from, "-t", window, "-i", srcPath,
+    "-vf", `fps=${rate.toFixed(3)},scale=${cfg.width || 1280}:-2,thumbnail=n=${n},showinfo`,
+    "-frames:v", 1, "-q:v", 2, outPath,
+  ]);
+  const m = /pts_time:\s*([\d.]+)/.exec(stderr);
+  return m ? r3(from + Number(m[1])) : null;
+}
+
+/**
+ * Genera y sube lo pedido en `spec` para el rango [from, to] de srcPath.
+ * `keyPrefix` = prefijo en storage ("clips/<id>" deja todo junto al clip).
+ * Los tiempos devueltos (y los del WebVTT) son del timeline de srcPath.
+ */
+async function renderThumbnails(srcPath, { from, to }, spec, storage, keyPrefix, progress = () => {}) {
+  const cfg = (k) => (spec[k] === true ? {} : spec[k]);
+  const r3 = (x) => Number(x.toFixed(3));
+  const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+  const duration = to - from;
+  const dir = tmp.dirSync({ unsafeCleanup: true });
+  const result = {};
+  try {
+    if (spec.best) {
+      progress("thumbnails", 0, { step: "best" });
+      const p = `${dir.name}/best.jpg`;
+      const t = await bestFrame(srcPath, from, to, cfg("best"), p);
+      result.best = { t, url: await uploadToStorage(p, `${keyPrefix}_best.jpg`, "image/jpeg", storage) };
+    }
+
+    if (spec.stills) {
+      const { count, width = 640 } = cfg("stills");
+      result.stills = [];
+      for (let i = 0; i < count; i++) {
+        progress("thumbnails", (25 * i) / count, { step: "stills" });
+        const t = from + ((i + 0.5) * duration) / count;
+        const p = `${dir.name}/still_${i}.jpg`;
+        await runFfmpeg([
+          ...FFMPEG_COMMON, "-ss", t.toFixed(3), "-i", srcPath,
+          "-vf", `scale=${width}:-2`, "-frames:v", 1, "-q:v", 3, p,
+        ]);
+        const key = `${keyPrefix}_still_${String(i).padStart(2, "0")}.jpg`;
+        result.stills.push({ index: i, t: r3(t), url: await uploadToStorage(p, key, "image/jpeg", storage) });
+      }
+    }
+
+    if (spec.sprite) {
+      progress("thumbnails", 25, { step: "sprite" });
+      const c = cfg("sprite");
+      const maxFrames = c.max_frames || 100;
+      const interval = c.interval_seconds || Math.max(1, duration / maxFrames);
+      const frames = Math.min(maxFrames, Math.ceil(duration / interval));
+      const columns = Math.min(c.columns || 10, frames);
+      const rows = Math.ceil(frames / columns);
+      const v = normalizeProbe(await ffprobeJson(srcPath)).video.find((x) => !x.attached_pic);
+      const tileW = even(c.width || 160);
+      const tileH = even((tileW * (v?.display_height || 9)) / (v?.display_width || 16));
+
+      const p = `${dir.name}/sprite.jpg`;
+      await runFfmpeg([
+        ...FFMPEG_COMMON, "-ss", from, "-t", frames * interval, "-i", srcPath,
+        "-vf", `fps=1/${interval},scale=${tileW}:${tileH},tile=${columns}x${rows}`,
+        "-frames:v", 1, "-q:v", 4, p,
+      ]);
+      const spriteUrl = await uploadToStorage(p, `${keyPrefix}_sprite.jpg`, "image/jpeg", storage);
+
+      // Una cue por tile: <sprite>#xywh=x,y,w,h
+      const cues = Array.from({ length: frames }, (_x, i) => ({
+        start: from + i * interval,
+        end: Math.min(to, from + (i + 1) * interval),
+        text: `${spriteUrl}#xywh=${(i % columns) * tileW},${Math.floor(i / columns) * tileH},${tileW},${tileH}`,
+      }));
+      const vtt = `${dir.name}/sprite.vtt`;
+      fs.writeFileSync(vtt, segmentsToVtt(cues));
+      result.sprite = {
+        url: spriteUrl,
+        vtt_url: await uploadToStorage(vtt, `${keyPrefix}_sprite.vtt`, "text/vtt", storage),
+        interval_seconds: r3(interval),
+        frames,
+        columns,
+        rows,
+        tile_width: tileW,
+        tile_height: tileH,
+      };
+    }
+
+    if (spec.preview) {
+      progress("thumbnails", 60, { step: "preview" });
+      const { format = "gif", fps = 10, width = 320 } = cfg("preview");
+      const len = Math.min(cfg("preview").duration ?? 3, duration);
+      const start = from + Math.max(0, (duration - len) / 2); // centrado: evita la transición de entrada
+      const p = `${dir.name}/preview.${format}`;
+      const scale = `fps=${fps},scale=${width}:-2:flags=lanczos`;
+      // GIF con paleta propia del clip (palettegen + paletteuse) para no ensuciar colores
+      const palette = "split[a][b];[a]palettegen=stats_mode=diff[p];[b][p]paletteuse=dither=bayer:bayer_scale=5";
+      const encode =
+        format === "gif"
+          ? ["-filter_complex", `[0:v]${scale},${palette}`, "-loop", 0]
+          : ["-vf", scale, "-c:v", "libwebp_anim", "-quality", 70, "-loop", 0];
+      await runFfmpeg([
+        ...FFMPEG_COMMON, "-ss", start.toFixed(3), "-t", len, "-i", srcPath, "-an", ...encode, p,
+      ]);
+      result.preview = {
+        format,
+        start: r3(start),
+        duration: r3(len),
+        fps,
+        width,
+        size_bytes: fs.statSync(p).size,
+        url: await uploadToStorage(p, `${keyPrefix}_preview.${format}`, PREVIEW_FORMATS[format], storage),
+      };
+    }
+    return result;
+  } finally {
+    dir.removeCallback();
+  }
+}
+
+function validateThumbnailsRequest(body) {
+  const bad = requireInput(body);
+  if (bad) return bad;
+  const { start_time, end_time } = body;
+  if (start_time !== undefined && !(typeof start_time === "number" && start_time >= 0)) {
+    return "start_time must be a number >= 0";
+  }
+  if (end_time !== undefined && !(typeof end_time === "number" && end_time > (start_time || 0))) {
+    return "end_time must be a number > start_time";
+  }
+  if (!THUMB_KINDS.some((k) => body[k])) return `Provide at least one of: ${THUMB_KINDS.join(", ")}`;
+  return validateThumbnails(Object.fromEntries(THUMB_KINDS.map((k) => [k, body[k]])));
+}
+
+async function runThumbnails(body, reqInfo, progress) {
+  const { video_url, source, storage } = body;
+
+  progress("downloading", 0);
+  const tmpVid = await fetchSource({ video_url, source }, ".mp4", body.cache);
+  try {
+    progress("probing", 20);
+    const r3 = (x) => Number(x.toFixed(3));
+    const duration = await getDurationSeconds(tmpVid.name);
+    const from = Math.min(body.start_time || 0, duration);
+    const to = Math.min(body.end_time ?? duration, duration);
+    if (to - from <= 0) throw emptyRangeError(from, duration);
+    chargeMedia(to - from);
+
+    const spec = Object.fromEntries(THUMB_KINDS.filter((k) => body[k]).map((k) => [k, body[k]]));
+    const thumbnails = await renderThumbnails(
+      tmpVid.name,
+      { from, to },
+      spec,
+      storage,
+      `thumbnails/${uuidv4()}`,
+      (stage, pct, extra) => progress(stage, 25 + pct * 0.75, extra)
+    );
+    return {
+      ok: true,
+      ...reqInfo,
+      source_cache: tmpVid.cache,
+      duration_seconds: r3(duration),
+      range: { start: r3(from), end: r3(to) },
+      ...thumbnails,
+    };
+  } finally {
+    tmpVid.removeCallback();
+  }
+}
+
+app.post(
+  "/thumbnails",
+  jobRoute(
+    "thumbnails",
+    "Verifica bucket/path o URL firmada; el archivo debe tener pista de video.",
+    validateThumbnailsRequest,
+    runThumbnails
+  )
+);
+
+// --- CUT (recorte y subida a storage) ---
+const CUT_BATCH_MAX_ITEMS = Number(process.env.CUT_BATCH_MAX_ITEMS || 50);
+const DEFAULT_CUT_FILTERS = { format: "original", captions_url: null, loudnorm: true };
+const DEFAULT_CUT_OUTPUT = {
+  container: "mp4",
+  video_codec: "libx264",
+  audio_codec: "aac",
+  crf: 23,
+  preset: "veryfast",
+  faststart: true,
+};
+
+function validateRange(start_time, end_time) {
+  if (typeof start_time !== "number" || typeof end_time !== "number") {
+    return "numeric start_time/end_time required";
+  }
+  if (end_time <= start_time) return "end_time must be > start_time";
+  return null;
+}
+
+// Smart cut: re-codifica sólo el GOP parcial de cabeza/cola y copia el medio
+const CUT_MODES = ["auto", "copy", "reencode", "smart"];
+const SMART_CUT_CODECS = {
+  h264: { encoder: "libx264", bsf: "h264_mp4toannexb", pixFmts: ["yuv420p", "yuvj420p"] },
+  hevc: { encoder: "libx265", bsf: "hevc_mp4toannexb", pixFmts: ["yuv420p", "yuvj420p", "yuv420p10le"] },
+};
+
+// "Constrained Baseline" / "High 10" (ffprobe) → baseline / high10 (libx264)
+function x264Profile(profile) {
+  const p = String(profile || "").toLowerCase().replace("constrained ", "").replace(/\s+/g, "");
+  return ["baseline", "main", "high", "high10", "high422", "high444"].includes(p) ? ["-profile:v", p] : [];
+}
+
+// Allow-lists de lo que llega a los argumentos de ffmpeg desde `output`
+const OUTPUT_CONTAINERS = ["mp4"];
+const OUTPUT_VIDEO_CODECS = ["libx264", "libx265"];
+const OUTPUT_AUDIO_CODECS = ["aac", "libopus", "libmp3lame"];
+const OUTPUT_PRESETS = [
+  "ultrafast",
+  "superfast",
+  "veryfast",
+  "faster",
+  "fast",
+  "medium",
+  "slow",
+  "slower",
+  "veryslow",
+];
+
+// Perfiles de exportación por plataforma (output.preset_profile). Lado largo/corto máximos
+// (sin reescalar hacia arriba), tope de fps y de bitrate, audio fijo, duración y tamaño máximos.
+const EXPORT_PROFILES = {
+  tiktok: {
+    max_long: 1920, max_short: 1080, fps_max: 60, video_kbps_max: 8000,
+    audio: { codec: "aac", kbps: 128, sample_rate: 44100, channels: 2 },
+    max_duration: 600, max_mb: 287,
+  },
+  youtube_shorts: {
+    max_long: 1920, max_short: 1080, fps_max: 60, video_kbps_max: 12000,
+    audio: { codec: "aac", kbps: 192, sample_rate: 48000, channels: 2 },
+    max_duration: 180, max_mb: null,
+  },
+  instagram_reels: {
+    max_long: 1920, max_short: 1080, fps_max: 60, video_kbps_max: 8000,
+    audio: { codec: "aac", kbps: 128, sample_rate: 48000, channels: 2 },
+    max_duration: 900, max_mb: 300,
+  },
+  whatsapp: {
+    max_long: 1280, max_short: 720, fps_max: 30, video_kbps_max: 2000,
+    audio: { codec: "aac", kbps: 96, sample_rate: 44100, channels: 2 },
+    max_duration: 180, max_mb: 16,
+  },
+};
+const TARGET_MB_MAX = 4096;
+const TARGET_MIN_VIDEO_KBPS = 150; // por debajo la imagen no sirve: mejor fallar
+const TARGET_MUX_MARGIN = 0.96; // contenedor + desvío del rate control
+
+function validateOutput(output) {
+  if (!output) return null;
+  if (typeof output !== "object") return "output must be an object";
+  const lists = {
+    container: OUTPUT_CONTAINERS,
+    video_codec: OUTPUT_VIDEO_CODECS,
+    audio_codec: OUTPUT_AUDIO_CODECS,
+    preset: OUTPUT_PRESETS,
+    cut_mode: CUT_MODES,
+  };
+  for (const [k, list] of Object.entries(lists)) {
+    if (output[k] !== undefined && !list.includes(output[k])) {
+      return `Unsupported output.${k}: ${output[k]} (${list.join("|")})`;
+    }
+  }
+  if (output.crf !== undefined && !(Number.isInteger(output.crf) && output.crf >= 0 && output.crf <= 51)) {
+    return "output.crf must be an integer between 0 and 51";
+  }
+  if (output.faststart !== undefined && typeof output.faststart !== "boolean") {
+    return "output.faststart must be boolean";
+  }
+  if (output.preset_profile !== undefined && !EXPORT_PROFILES[output.preset_profile]) {
+    return `Unknown output.preset_profile: ${output.preset_profile} (${Object.keys(EXPORT_PROFILES).join("|")})`;
+  }
+  if (output.target_mb !== undefined) {
+    if (!(typeof output.target_mb === "number" && numberIn(output.target_mb, 1, TARGET_MB_MAX))) {
+      return `output.target_mb must be a number between 1 and ${TARGET_MB_MAX}`;
+    }
+    if (output.crf !== undefined) return "output.crf and output.target_mb are mutually exclusive";
+  }
+  return null;
+}
+
+// Duración del clip contra el máximo del perfil (se conoce antes de descargar)
+function validateProfileDuration(output, start_time, end_time) {
+  const profile = EXPORT_PROFILES[output?.preset_profile];
+  if (!profile?.max_duration || end_time - start_time <= profile.max_duration) return null;
+  return `Clip is ${end_time - start_time}s; ${output.preset_profile} allows at most ${profile.max_duration}s`;
+}
+
+/**
+ * Ajustes de encode efectivos de un clip de `duration` segundos:
+ *  - sin perfil ni target_mb: lo de siempre (codec/preset/crf de `output`)
+ *  - preset_profile: escala, fps, tope de bitrate (CRF con -maxrate) y audio del perfil
+ *  - target_mb (o el max_mb del perfil si el peor caso no entra): ABR a dos pasadas con el
+ *    bitrate de video que deja el archivo justo por debajo del tamaño
+ */
+function encodeSettings(output, duration) {
+  const name = output.preset_profile || null;
+  const profile = EXPORT_PROFILES[name] || null;
+  const audio = profile?.audio || {
+    codec: output.audio_codec || "aac",
+    kbps: null,
+    sample_rate: null,
+    channels: null,
+  };
+  const s = {
+    profile: name,
+    video_codec: output.video_codec || "libx264",
+    preset: output.preset || "veryfast",
+    crf: output.crf || 23,
+    video_kbps: null,
+    maxrate_kbps: profile?.video_kbps_max || null,
+    fps_max: profile?.fps_max || null,
+    max_long: profile?.max_long || null,
+    max_short: profile?.max_short || null,
+    audio_codec: audio.codec,
+    audio_kbps: audio.kbps,
+    sample_rate: audio.sample_rate,
+    channels: audio.channels,
+    two_pass: false,
+    target_mb: null,
+    target_source: null,
+  };
+
+  let target = output.target_mb ?? null;
+  if (target) s.target_source = "request";
+  if (profile?.max_mb) {
+    const worstMb = ((profile.video_kbps_max + audio.kbps) * duration) / 8 / 1024;
+    if (target ? target > profile.max_mb : worstMb > profile.max_mb) {
+      target = profile.max_mb;
+      s.target_source = "profile_limit";
+    }
+  }
+  if (target) {
+    const totalKbps = (target * 1024 * 1024 * 8 * TARGET_MUX_MARGIN) / 1000 / duration;
+    // Sin perfil el audio también va a bitrate fijo, para que el presupuesto cuadre
+    s.audio_kbps = s.audio_kbps || 128;
+    let videoKbps = Math.floor(totalKbps - s.audio_kbps);
+    if (s.maxrate_kbps) videoKbps = Math.min(videoKbps, s.maxrate_kbps);
+    if (videoKbps < TARGET_MIN_VIDEO_KBPS) {
+      const e = new Error(
+        `target_mb ${target} is too small for ${duration.toFixed(1)}s ` +
+          `(needs >= ${TARGET_MIN_VIDEO_KBPS} kbps of video)`
+      );
+      e.code = "TARGET_TOO_SMALL";
+      throw e;
+    }
+    Object.assign(s, { crf: null, video_kbps: videoKbps, two_pass: true, target_mb: target });
+  }
+  s.reencode = Boolean(profile || target);
+  return s;
+}
+
+// Argumentos de video/audio y filtro de escala a partir de encodeSettings
+function encodeArgs(s) {
+  const video = ["-c:v", s.video_codec, "-preset", s.preset];
+  if (s.video_kbps) video.push("-b:v", `${s.video_kbps}k`);
+  else video.push("-crf", s.crf);
+  const cap = s.maxrate_kbps && (s.video_kbps ? Math.max(s.video_kbps, s.maxrate_kbps) : s.maxrate_kbps);
+  if (cap) video.push("-maxrate", `${cap}k`, "-bufsize", `${cap * 2}k`);
+  if (s.fps_max) video.push("-fpsmax", s.fps_max);
+  if (s.profile) video.push("-pix_fmt", "yuv420p");
 
-      tmpVid.removeCallback();
-      return res.json({
-        ok: true,
-        ...reqInfo,
-        threshold: Number(base_db),
-        ranges,
-        limited: true,
-        points: 0,
-        method,
-        mode: source?.bucket ? "sdk" : "http",
-      });
+  const audio = ["-c:a", s.audio_codec];
+  if (s.audio_kbps) audio.push("-b:a", `${s.audio_kbps}k`);
+  if (s.sample_rate) audio.push("-ar", s.sample_rate);
+  if (s.channels) audio.push("-ac", s.channels);
+
+  // Cabe en max_long x max_short en cualquier orientación; nunca agranda
+  const scale = s.max_long
+    ? `scale=w='if(gte(iw,ih),min(iw,${s.max_long}),min(iw,${s.max_short}))'` +
+      `:h='if(gte(iw,ih),min(ih,${s.max_short}),min(ih,${s.max_long}))'` +
+      ":force_original_aspect_ratio=decrease:force_divisible_by=2"
+    : null;
+  return { video, audio, scale };
+}
+
+// Pasada 1 sólo video (estadísticas a passlogfile), pasada 2 con audio al archivo final
+async function encodeTwoPass({ input, videoMap, audioMap, vf, af, settings, args, outArgs, onPass }) {
+  const dir = tmp.dirSync({ unsafeCleanup: true });
+  const stats = `${dir.name}/pass`;
+  const pass = (n) =>
+    settings.video_codec === "libx265"
+      ? ["-x265-params", `pass=${n}:stats=${stats}.log`]
+      : ["-pass", n, "-passlogfile", stats];
+  try {
+    await runFfmpeg(
+      [...input, ...videoMap, ...vf, ...args.video, ...pass(1), "-an", "-f", "null", "-"],
+      { onProgress: onPass(1) }
+    );
+    await runFfmpeg(
+      [...input, ...videoMap, ...audioMap, ...vf, ...af, ...args.video, ...pass(2), ...args.audio, ...outArgs],
+      { onProgress: onPass(2) }
+    );
+  } finally {
+    dir.removeCallback();
+  }
+}
+
+
+// Lo que tiene que coincidir entre tramos copiados y re-codificados para concatenarlos
+const SMART_CUT_PARAMS = [
+  "codec_name",
+  "profile",
+  "level",
+  "width",
+  "height",
+  "r_frame_rate",
+  "time_base",
+  "bit_depth",
+];
+
+// "yuv420p10le" => 10; sin sufijo de profundidad => 8
+function pixFmtDepth(pixFmt) {
+  const m = /p(\d+)(le|be)$/.exec(String(pixFmt || ""));
+  return m ? Number(m[1]) : 8;
+}
+
+// Stream de video de ffprobe (crudo) => parámetros comparables en SMART_CUT_PARAMS
+function smartCutParams(s) {
+  return {
+    codec_name: s?.codec_name ?? null,
+    profile: s?.profile ?? null,
+    level: s?.level ?? null,
+    width: s?.width ?? null,
+    height: s?.height ?? null,
+    r_frame_rate: s?.r_frame_rate ?? null,
+    time_base: s?.time_base ?? null,
+    bit_depth: Number(s?.bits_per_raw_sample) || pixFmtDepth(s?.pix_fmt),
+  };
+}
+
+// Primer parámetro distinto entre dos streams ("level 31 != 40") o null si son compatibles
+function smartCutMismatch(ref, part) {
+  const a = smartCutParams(ref);
+  const b = smartCutParams(part);
+  const k = SMART_CUT_PARAMS.find((key) => a[key] !== b[key]);
+  return k ? `${k} ${b[k]} != ${a[k]}` : null;
+}
+
+// Nivel de ffprobe => argumentos del encoder (h264: 40 = 4.0; hevc: 120 = 4.0)
+function smartCutLevel(encoder, level) {
+  if (!(level > 0)) return [];
+  if (encoder === "libx264") return ["-level:v", (level / 10).toFixed(1)];
+  return ["-x265-params", `level-idc=${(level / 30).toFixed(1)}`];
+}
+
+/**
+ * Corta [start_time, end_time] sin re-codificar todo:
+ *  - cabeza [start, k1) y cola [kN, end) re-codificadas con los parámetros de la fuente
+ *  - medio [k1, kN) en stream copy (k1/kN = primer/último keyframe dentro del rango)
+ *  - audio re-codificado de una sola pasada sobre todo el rango (sin huecos en las uniones)
+ * Los tramos de video van a MPEG-TS (SPS/PPS en banda) y se concatenan con el demuxer concat.
+ * Los límites son [inclusivo, exclusivo) por PTS: cabeza y cola se recortan medio frame antes
+ * del keyframe y el medio lo parte el muxer segment justo antes del paquete de kN.
+ * Si un tramo re-codificado no coincide con el copiado (SMART_CUT_PARAMS) no se usa.
+ * Devuelve { used: "smart", segments } o { used: null, reason } si no es compatible.
+ */
+async function smartCut(
+  srcPath,
+  outPath,
+  { start_time, end_time, af, output, faststart, audioIndex = null, progress = () => {} }
+) {
+  const raw = await ffprobeJson(srcPath);
+  const v = normalizeProbe(raw).video.find((x) => !x.attached_pic);
+  const codec = v && SMART_CUT_CODECS[v.codec];
+  if (!codec) return { used: null, reason: `codec ${v?.codec || "none"} not supported for smart cut` };
+  if (!codec.pixFmts.includes(v.pix_fmt)) {
+    return { used: null, reason: `pix_fmt ${v.pix_fmt} not supported for smart cut` };
+  }
+  const srcStream = raw.streams.find((s) => s.index === v.index);
+  const fps = parseRate(v.r_frame_rate) || v.fps;
+  if (!fps) return { used: null, reason: "unknown frame rate" };
+  const half = 0.5 / fps;
+
+  const { keyframes } = await ffprobeKeyframes(srcPath, 100000, {
+    start: start_time,
+    end: end_time,
+  });
+  const inside = keyframes.filter((t) => t >= start_time && t <= end_time);
+  const k1 = inside[0];
+  const kN = inside[inside.length - 1];
+  if (k1 === undefined || kN - k1 < 0.5) {
+    return { used: null, reason: "no complete GOP inside the range" };
+  }
+
+  const dir = tmp.dirSync({ unsafeCleanup: true });
+  try {
+    const enc = [
+      "-c:v", codec.encoder,
+      "-preset", output.preset || "veryfast",
+      "-crf", output.crf || 23,
+      "-pix_fmt", v.pix_fmt,
+      ...(codec.encoder === "libx264" ? x264Profile(v.profile) : []),
+      ...smartCutLevel(codec.encoder, srcStream?.level),
+      "-bsf:v", codec.bsf,
+    ];
+
+    const parts = [];
+    const segments = [];
+    // Cabeza: precisión de frame hasta el primer keyframe (sin incluirlo)
+    if (k1 - start_time > half) {
+      const p = `${dir.name}/head.ts`;
+      await runFfmpeg([
+        ...FFMPEG_COMMON, "-ss", start_time, "-to", (k1 - half).toFixed(6), "-i", srcPath,
+        "-map", "0:v:0", "-an", ...enc, "-f", "mpegts", p,
+      ]);
+      parts.push({ step: "head", path: p });
+      segments.push({ kind: "reencode", start: start_time, end: k1 });
+      progress("encoding", 15, { step: "head" });
+    }
+    // Medio: copia directa; seek levemente tras k1 para caer exactamente en ese keyframe.
+    // El muxer segment corta en el paquete de kN (orden de decodificación): mid_000 = [k1, kN)
+    {
+      const from = k1 + 0.002;
+      await runFfmpeg([
+        ...FFMPEG_COMMON, "-ss", from.toFixed(3), "-to", (kN + 1).toFixed(3), "-i", srcPath,
+        "-map", "0:v:0", "-an", "-c:v", "copy", "-bsf:v", codec.bsf,
+        "-f", "segment", "-segment_format", "mpegts", "-segment_times", (kN - from - half).toFixed(6),
+        `${dir.name}/mid_%03d.ts`,
+      ]);
+      parts.push({ step: "copy", path: `${dir.name}/mid_000.ts` });
+      segments.push({ kind: "copy", start: k1, end: kN });
+      progress("encoding", 35, { step: "copy" });
+    }
+    // Cola: desde el último keyframe (incluido) hasta end_time
+    if (end_time - kN > half) {
+      const p = `${dir.name}/tail.ts`;
+      await runFfmpeg([
+        ...FFMPEG_COMMON, "-ss", (kN - half).toFixed(6), "-to", end_time, "-i", srcPath,
+        "-map", "0:v:0", "-an", ...enc, "-f", "mpegts", p,
+      ]);
+      parts.push({ step: "tail", path: p });
+      segments.push({ kind: "reencode", start: kN, end: end_time });
+      progress("encoding", 50, { step: "tail" });
     }
 
-    if (!pts.length) {
-      tmpVid.removeCallback();
-      return res.json({
-        ok: true,
-        ...reqInfo,
-        threshold: Number(base_db),
-        ranges: [],
-        limited: true,
-        points: 0,
-        note: "No se detectaron líneas de RMS en el log.",
-        method,
-        mode: source?.bucket ? "sdk" : "http",
-      });
+    // Los tramos re-codificados tienen que ser intercambiables con el copiado
+    const streamOf = async (p) => (await ffprobeJson(p)).streams?.find((s) => s.codec_type === "video");
+    const ref = await streamOf(`${dir.name}/mid_000.ts`);
+    for (const part of parts.filter((x) => x.step !== "copy")) {
+      const mismatch = smartCutMismatch(ref, await streamOf(part.path));
+      if (mismatch) return { used: null, reason: `smart cut ${part.step} differs from source: ${mismatch}` };
     }
 
-    const sorted = [...pts].map((p) => p.rms).sort((a, b) => a - b);
-    const idx = Math.min(sorted.length - 1, Math.max(0, Math.floor(sorted.length * percentile)));
-    const pctl = sorted[idx];
-    const TH = Math.max(Number(pctl), Number(base_db));
+    const list = `${dir.name}/list.txt`;
+    fs.writeFileSync(list, parts.map((p) => `file '${p.path}'`).join("\n"));
 
-    const PAD = Number(pad) || 1.2;
-    const MERGE = Number(merge_gap) || 1.0;
-    let raw = [],
-      cur = null;
-    for (const p of pts) {
-      if (p.t > MAX_T) break;
-      if (p.rms >= TH) (cur ? (cur.end = p.t) : (cur = { start: p.t, end: p.t }));
-      else if (cur) {
-        raw.push(cur);
-        cur = null;
-      }
+    let audioIn = [];
+    if (audioIndex !== null) {
+      const a = `${dir.name}/audio.m4a`;
+      await runFfmpeg([
+        ...FFMPEG_COMMON, "-ss", start_time, "-to", end_time, "-i", srcPath,
+        "-map", `0:${audioIndex}`, "-vn", ...af, "-c:a", output.audio_codec || "aac", a,
+      ]);
+      audioIn = ["-i", a, "-map", "1:a:0"];
+      progress("encoding", 65, { step: "audio" });
     }
-    if (cur) raw.push(cur);
+    await runFfmpeg([
+      ...FFMPEG_COMMON, "-f", "concat", "-safe", 0, "-i", list,
+      ...audioIn, "-map", "0:v:0", "-c", "copy", ...faststart, outPath,
+    ]);
+    return { used: "smart", segments, keyframes: { first: k1, last: kN } };
+  } finally {
+    dir.removeCallback();
+  }
+}
 
-    let ranges = raw
-      .map((r) => ({ start: Math.max(0, r.start - PAD), end: r.end + PAD }))
-      .sort((a, b) => a.start - b.start);
+// Snap de extremos del clip a keyframes / cambios de escena / silencios
+const SNAP_MODES = ["none", "keyframe", "scene", "silence"];
 
-    let merged = [];
-    for (const r of ranges) {
-      const last = merged[merged.length - 1];
-      if (!last || r.start - last.end > MERGE) merged.push({ ...r });
-      else last.end = Math.max(last.end, r.end);
+function validateSnap(snap) {
+  if (snap === undefined || snap === null) return null;
+  const mode = typeof snap === "string" ? snap : snap.mode;
+  if (!SNAP_MODES.includes(mode)) return `Unknown snap mode: ${mode} (${SNAP_MODES.join("|")})`;
+  if (typeof snap !== "object") return null;
+  const { tolerance: tol, threshold } = snap;
+  if (tol !== undefined && !(typeof tol === "number" && tol > 0 && tol <= 30)) {
+    return "snap.tolerance must be between 0 and 30 seconds";
+  }
+  // Mismos rangos que /scenes y la detección de silencios de /extract-audio
+  if (threshold !== undefined && !(typeof threshold === "number" && threshold > 0 && threshold < 1)) {
+    return "snap.threshold must be a number between 0 and 1";
+  }
+  if (!numberIn(snap.silence_db, -100, 0)) return "snap.silence_db must be a number between -100 and 0";
+  if (!numberIn(snap.silence_min_seconds, 0.05, 10)) {
+    return "snap.silence_min_seconds must be a number between 0.05 and 10";
+  }
+  return null;
+}
+
+/**
+ * Mueve start/end al límite más cercano dentro de ±tolerance (default 1.5 s).
+ * Sólo analiza ventanas alrededor de cada extremo, no la fuente entera.
+ * `snap` = "scene" | { mode, tolerance?, threshold?, silence_db?, silence_min_seconds? }
+ */
+async function snapRange(srcPath, start_time, end_time, snap) {
+  const cfg = typeof snap === "string" ? { mode: snap } : snap || {};
+  const mode = cfg.mode || "none";
+  const requested = { start_time, end_time };
+  if (mode === "none") return { mode, requested, start_time, end_time };
+
+  const tol = cfg.tolerance ?? 1.5;
+  const candidatesAround = async (t) => {
+    const from = Math.max(0, t - tol);
+    const window = { start: from, duration: t + tol - from };
+    if (mode === "keyframe") {
+      return (await ffprobeKeyframes(srcPath, 1000, { start: from, end: t + tol })).keyframes;
+    }
+    if (mode === "scene") {
+      return (await detectSceneChanges(srcPath, cfg.threshold ?? 0.3, window)).map((c) => c.t);
     }
+    const silences = await detectSilences(
+      srcPath,
+      cfg.silence_db ?? -35,
+      cfg.silence_min_seconds ?? 0.3,
+      window
+    );
+    return silences.map((s) => (s.start + s.end) / 2);
+  };
+  const nearest = (t, cands) =>
+    cands
+      .filter((c) => Math.abs(c - t) <= tol)
+      .sort((a, b) => Math.abs(a - t) - Math.abs(b - t))[0];
 
-    tmpVid.removeCallback();
-    return res.json({
-      ok: true,
-      ...reqInfo,
-      threshold: Number(TH),
-      ranges: merged,
-      limited: true,
-      points: pts.length,
-      method,
-      mode: source?.bucket ? "sdk" : "http",
-    });
+  const s = nearest(start_time, await candidatesAround(start_time));
+  const e = nearest(end_time, await candidatesAround(end_time));
+  let ns = s ?? start_time;
+  let ne = e ?? end_time;
+  // Un rango degenerado tras el snap no sirve: se conservan los tiempos pedidos
+  if (ne - ns < 0.1) {
+    ns = start_time;
+    ne = end_time;
+  }
+  return {
+    mode,
+    tolerance: tol,
+    requested,
+    start_time: Number(ns.toFixed(3)),
+    end_time: Number(ne.toFixed(3)),
+    start_moved: ns !== start_time,
+    end_moved: ne !== end_time,
+  };
+}
+
+// Validación por clip (compartida por /cut y cada item de /cut-batch)
+function validateClipSpec({ start_time, end_time, filters, snap, output, audio, thumbnails }) {
+  return (
+    validateRange(start_time, end_time) ||
+    validateThumbnails(thumbnails) ||
+    validateAudioSelector(audio) ||
+    validateCaptions(filters?.captions) ||
+    validateReframe(filters) ||
+    validateOverlays(filters?.overlays) ||
+    validateSnap(snap) ||
+    validateOutput(output) ||
+    validateProfileDuration(output, start_time, end_time)
+  );
+}
+
+function validateCut(body) {
+  const { video_url, source, start_time, end_time, input_strategy } = body;
+  if ((!video_url && !source) || typeof start_time !== "number" || typeof end_time !== "number") {
+    return "Provide video_url OR source{bucket,path}, and numeric start_time/end_time";
+  }
+  if (input_strategy !== undefined && !INPUT_STRATEGIES.includes(input_strategy)) {
+    return `Unknown input_strategy: ${input_strategy} (${INPUT_STRATEGIES.join("|")})`;
+  }
+  return validateClipSpec(body) || requireInput(body);
+}
+
+// Tamaño del frame de salida (para PlayRes de los subtítulos)
+async function outputFrameSize(srcPath, format) {
+  if (FORMAT_SIZES[format]) return FORMAT_SIZES[format];
+  const v = normalizeProbe(await ffprobeJson(srcPath)).video.find((x) => !x.attached_pic);
+  return { width: v?.display_width || 1920, height: v?.display_height || 1080 };
+}
+
+// Filtros de video de un rango (reframe + overlays + captions quemados).
+// tempFiles (.ass, logos, textos) los limpia quien llama.
+async function buildClipFilters(srcPath, filters, start_time, end_time, progress = () => {}) {
+  const vfParts = [];
+  const tempFiles = [];
+  let reframe = null;
+  try {
+    if (FORMAT_SIZES[filters.format]) {
+      progress("reframe", 0);
+      const rf = await buildReframeFilter(srcPath, filters, start_time, end_time);
+      vfParts.push(rf.filter);
+      reframe = rf.info;
+    }
+    // Overlays encima del video y debajo de los captions
+    if (filters.overlays?.length) {
+      progress("overlays", 0);
+      const { width, height } = await outputFrameSize(srcPath, filters.format);
+      const rect = reframe?.content || { x: 0, y: 0, w: width, h: height };
+      const ov = await buildOverlayFilters(filters.overlays, rect);
+      vfParts.push(...ov.parts);
+      tempFiles.push(...ov.tempFiles);
+    }
+    // Captions: se descargan/convierten a un .ass local con tiempos relativos al clip
+    const captions = filters.captions ?? (filters.captions_url ? { url: filters.captions_url } : null);
+    if (captions) {
+      progress("captions", 0);
+      const { width, height } = await outputFrameSize(srcPath, filters.format);
+      const captionsPath = await prepareCaptions(captions, {
+        start_time,
+        end_time,
+        width,
+        height,
+        format: filters.format,
+      });
+      if (captionsPath) {
+        vfParts.push(`subtitles='${captionsPath}'`);
+        tempFiles.push({ removeCallback: () => fs.existsSync(captionsPath) && fs.unlinkSync(captionsPath) });
+      }
+    }
   } catch (e) {
-    const err = normalizeErr(e);
-    log("ERR", reqInfo, err);
-    return res.status(500).json({
-      ok: false,
-      ...reqInfo,
-      error: err,
-      hint:
-        "Si usas source.bucket/path verifica que existan; si usas URL firmada, prueba /echo para confirmar el payload.",
-    });
+    for (const f of tempFiles) f.removeCallback();
+    throw e;
   }
-});
+  return { vfParts, reframe, tempFiles };
+}
+
+/**
+ * Recorta [start_time, end_time] de un archivo ya descargado, genera el thumbnail
+ * y sube ambos al storage de salida. Devuelve el objeto `clip` de la respuesta.
+ */
+async function renderClip(srcPath, spec, storage, progress = () => {}) {
+  const { filters = DEFAULT_CUT_FILTERS, output = DEFAULT_CUT_OUTPUT } = spec;
+
+  // Snap opcional de los extremos (los tiempos ajustados se usan en todo el render)
+  const snap = spec.snap ? await snapRange(srcPath, spec.start_time, spec.end_time, spec.snap) : null;
+  const { start_time, end_time } = snap || spec;
+  chargeMedia(end_time - start_time);
+
+  const id = uuidv4();
+  const out = `/tmp/clip_${id}.mp4`;
+  const thumb = `/tmp/thumb_${id}.jpg`;
+  let tempFiles = [];
 
-// --- CUT (recorte y subida a Supabase) ---
-app.post("/cut", async (req, res) => {
-  const reqInfo = { where: "cut", reqId: req._id };
   try {
-    logReq(req, reqInfo);
-    const {
-      video_url,
-      source,
-      start_time,
-      end_time,
-      filters = { format: "original", captions_url: null, loudnorm: true },
-      output = {
-        container: "mp4",
-        video_codec: "libx264",
-        audio_codec: "aac",
-        crf: 23,
-        preset: "veryfast",
-        faststart: true,
-      },
-    } = req.body || {};
+    const clipFilters = await buildClipFilters(srcPath, filters, start_time, end_time, progress);
+    const { vfParts, reframe } = clipFilters;
+    tempFiles = clipFilters.tempFiles;
+    const hasVideoFilters = vfParts.length > 0;
 
-    if ((!video_url && !source) || typeof start_time !== "number" || typeof end_time !== "number") {
-      return res.status(400).json({
-        ok: false,
-        ...reqInfo,
-        error: "Provide video_url OR source{bucket,path}, and numeric start_time/end_time",
+    // Perfil de plataforma / tamaño objetivo => siempre re-encode (escala, fps, bitrate)
+    const settings = encodeSettings(output, end_time - start_time);
+    const args = encodeArgs(settings);
+    const mustReencode = hasVideoFilters || settings.reencode;
+    const vfAll = args.scale ? [...vfParts, args.scale] : vfParts;
+    const vf = vfAll.length ? ["-vf", vfAll.join(",")] : [];
+
+    const af = filters.loudnorm ? ["-af", "loudnorm=I=-16:TP=-1.5:LRA=11"] : [];
+    const audioStream = await selectAudioStream(srcPath, spec.audio);
+    const videoMap = ["-map", "0:v:0"];
+    const audioMap = audioStream ? ["-map", `0:${audioStream.index}`] : [];
+    const maps = [...videoMap, ...audioMap];
+
+    const faststart = output.faststart !== false ? ["-movflags", "+faststart"] : [];
+    const reencode = [...args.video, ...args.audio, ...faststart];
+    const input = [...FFMPEG_COMMON, "-ss", start_time, "-to", end_time, "-i", srcPath];
+
+    // Modo de corte: auto (copy sin filtros, re-encode con filtros) | copy | reencode | smart
+    const cutMode = { requested: output.cut_mode || "auto", used: null, reason: null };
+    progress("encoding", 0);
+    if (cutMode.requested === "smart" && !mustReencode) {
+      const smart = await smartCut(srcPath, out, {
+        start_time,
+        end_time,
+        af,
+        output,
+        faststart,
+        audioIndex: audioStream?.index ?? null,
+        progress,
       });
+      cutMode.used = smart.used;
+      cutMode.reason = smart.reason || null;
+      if (smart.used) cutMode.segments = smart.segments;
+    } else if (mustReencode && ["smart", "copy"].includes(cutMode.requested)) {
+      cutMode.reason = hasVideoFilters
+        ? "video filters require re-encode"
+        : `${settings.two_pass ? "target size" : "preset_profile"} requires re-encode`;
     }
-    if (end_time <= start_time) {
-      return res.status(400).json({ ok: false, ...reqInfo, error: "end_time must be > start_time" });
+
+    if (!cutMode.used) {
+      const copy = !mustReencode && cutMode.requested !== "reencode" && cutMode.requested !== "smart";
+      const codecs = copy
+        ? ["-c:v", "copy", "-c:a", output.audio_codec || "aac", ...faststart]
+        : reencode;
+
+      const duration = end_time - start_time;
+      const onProgress = ffmpegProgress(progress, "encoding", 0, 75, duration);
+      try {
+        if (settings.two_pass && !copy) {
+          await encodeTwoPass({
+            input, videoMap, audioMap, vf, af, settings, args,
+            outArgs: [...faststart, out],
+            onPass: (n) =>
+              ffmpegProgress(progress, "encoding", n === 1 ? 0 : 35, n === 1 ? 35 : 75, duration),
+          });
+        } else {
+          await runFfmpeg([...input, ...maps, ...vf, ...af, ...codecs, out], { onProgress });
+        }
+        cutMode.used = copy ? "copy" : "reencode";
+      } catch (e) {
+        // Sólo hay alternativa si falló el stream copy o las dos pasadas (=> una pasada ABR)
+        if (!isRetryableProcessError(e) || !(copy || settings.two_pass)) throw e;
+        await runFfmpeg([...input, ...maps, ...vf, ...af, ...reencode, out], { onProgress });
+        cutMode.used = "reencode";
+        cutMode.reason = copy ? "stream copy failed" : "two-pass encode failed; single pass";
+        if (!copy) settings.two_pass = false;
+      }
     }
 
-    const tmpVid = await downloadToTempSmart({ video_url, source }, ".mp4");
-    if (source?.bucket && source?.path)
-      log("CUT using Supabase SDK:", source.bucket, source.path);
+    const size_bytes = fs.statSync(out).size;
+    const duration = end_time - start_time;
 
-    const id = uuidv4();
-    const out = `/tmp/clip_${id}.mp4`;
-    const thumb = `/tmp/thumb_${id}.jpg`;
-
-    // Video filters
-    let vfParts = [];
-    if (filters.format === "vertical_9_16") {
-      vfParts.push(
-        "[0:v]scale=-2:1920,boxblur=luma_radius=20:luma_power=1[bg];[0:v]scale=-2:1080[fg];[bg][fg]overlay=(W-w)/2:(H-h)/2"
+    // Thumbnails extra: se sacan del clip ya renderizado (con reframe/overlays/captions)
+    let thumbnails = null;
+    if (spec.thumbnails) {
+      thumbnails = await renderThumbnails(
+        out,
+        { from: 0, to: duration },
+        spec.thumbnails,
+        storage,
+        `clips/${id}`,
+        (stage, pct, extra) => progress(stage, 75 + pct * 0.1, extra)
       );
-    } else if (filters.format === "square_1_1") {
-      vfParts.push("scale=1080:-2, pad=1080:1080:(ow-iw)/2:(oh-ih)/2:black");
     }
-    if (filters.captions_url) {
-      const safeSubs = String(filters.captions_url).replace(/:/g, "\\:");
-      vfParts.push(`subtitles='${safeSubs}'`);
+
+    progress("thumbnail", 85);
+    if (!thumbnails?.best) {
+      await runFfmpeg([...FFMPEG_COMMON, "-ss", start_time, "-i", srcPath, "-frames:v", 1, thumb]);
     }
-    const hasVideoFilters = vfParts.length > 0;
-    const vf = hasVideoFilters ? `-vf "${vfParts.join(",")}"` : "";
 
-    const af = filters.loudnorm ? `-af "loudnorm=I=-16:TP=-1.5:LRA=11"` : "";
+    progress("uploading", 90);
+    const clipUrl = await uploadToStorage(out, `clips/${id}.mp4`, "video/mp4", storage);
+    const thumbUrl = thumbnails?.best
+      ? thumbnails.best.url
+      : await uploadToStorage(thumb, `clips/${id}.jpg`, "image/jpeg", storage);
 
-    const faststartFlag = output.faststart !== false ? "-movflags +faststart" : "";
-    let codecs;
-    if (!hasVideoFilters) {
-      codecs = `-c:v copy -c:a ${output.audio_codec || "aac"} ${faststartFlag}`;
-    } else {
-      codecs = `-c:v ${output.video_codec || "libx264"} -preset ${output.preset || "veryfast"} -crf ${output.crf || 23} -c:a ${output.audio_codec || "aac"} ${faststartFlag}`;
-    }
+    // Ajustes efectivos; en copy/smart el video no pasa por el encoder
+    const { reencode: _r, ...effective } = settings;
+    const encode =
+      cutMode.used === "reencode"
+        ? {
+            ...effective,
+            ...(settings.target_mb
+              ? { target_fits: size_bytes <= settings.target_mb * 1024 * 1024 }
+              : {}),
+          }
+        : { video_codec: "copy", audio_codec: output.audio_codec || "aac" };
 
-    const common = `-hide_banner -loglevel info -y -nostdin -threads 1`;
+    return {
+      url: clipUrl,
+      thumbnail_url: thumbUrl,
+      duration,
+      size_bytes,
+      cut_mode: cutMode,
+      encode,
+      thumbnails,
+      audio_stream: audioStream,
+      reframe,
+      snap,
+    };
+  } finally {
+    fs.existsSync(out) && fs.unlinkSync(out);
+    fs.existsSync(thumb) && fs.unlinkSync(thumb);
+    for (const f of tempFiles) f.removeCallback();
+  }
+}
 
-    const cmdMain = hasVideoFilters
-      ? `ffmpeg ${common} -ss ${start_time} -to ${end_time} -i "${tmpVid.name}" ${vf} ${af} ${codecs} "${out}"`
-      : `ffmpeg ${common} -ss ${start_time} -to ${end_time} -i "${tmpVid.name}" -map 0:v:0 -map a:0 ${af} ${codecs} "${out}"`;
+async function runCut(body, reqInfo, progress) {
+  const { source, storage } = body;
 
-    try {
-      await execAsync(cmdMain);
-    } catch (_e) {
-      const fallbackCodecs = `-c:v ${output.video_codec || "libx264"} -preset ${output.preset || "veryfast"} -crf ${output.crf || 23} -c:a ${output.audio_codec || "aac"} ${faststartFlag}`;
-      const cmdFallback = `ffmpeg ${common} -ss ${start_time} -to ${end_time} -i "${tmpVid.name}" ${vf} ${af} ${fallbackCodecs} "${out}"`;
-      await execAsync(cmdFallback);
-    }
+  progress("downloading", 0);
+  const input = await openCutInput(body);
+  const srcLoc = parseSource(source);
+  if (srcLoc) log("CUT using storage:", srcLoc.driver, srcLoc.bucket, srcLoc.path);
 
-    await execAsync(
-      `ffmpeg ${common} -ss ${start_time} -i "${tmpVid.name}" -frames:v 1 "${thumb}"`
+  try {
+    const clip = await renderClip(input.name, body, storage, (stage, pct, extra) =>
+      progress(stage, 20 + pct * 0.8, extra)
     );
+    return { ok: true, ...reqInfo, source_cache: input.cache, input: input.input(), clip };
+  } finally {
+    input.removeCallback();
+  }
+}
 
-    const clipUrl = await uploadToSupabase(out, `clips/${id}.mp4`, "video/mp4");
-    const thumbUrl = await uploadToSupabase(thumb, `clips/${id}.jpg`, "image/jpeg");
+app.post(
+  "/cut",
+  jobRoute(
+    "cut",
+    "Usa /echo para ver el body que llega. Verifica bucket/path exactos y permisos del Service Role.",
+    validateCut,
+    runCut
+  )
+);
 
-    const size_bytes = fs.statSync(out).size;
-    const duration = end_time - start_time;
+// --- CUT BATCH (varios clips de una sola descarga) ---
+function validateCutBatch(body) {
+  const bad = requireInput(body);
+  if (bad) return bad;
+  if (!Array.isArray(body.items) || !body.items.length) {
+    return "items must be a non-empty array of { start_time, end_time, filters?, output? }";
+  }
+  if (body.items.length > CUT_BATCH_MAX_ITEMS) {
+    return `Too many items (max ${CUT_BATCH_MAX_ITEMS})`;
+  }
+  return validateAudioSelector(body.audio);
+}
 
-    fs.existsSync(out) && fs.unlinkSync(out);
-    fs.existsSync(thumb) && fs.unlinkSync(thumb);
+async function runCutBatch(body, reqInfo, progress) {
+  const { video_url, source, storage, items } = body;
+
+  progress("downloading", 0);
+  const tmpVid = await fetchSource({ video_url, source }, ".mp4", body.cache);
+
+  // Cada item se procesa por separado: un rango malo no tumba el batch
+  const results = [];
+  try {
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i] || {};
+      const bad = validateClipSpec(item);
+      if (bad) {
+        results.push({ index: i, ok: false, error: bad });
+        continue;
+      }
+      try {
+        // `audio` del body aplica a todos los items salvo que el item traiga el suyo
+        const spec = { audio: body.audio, ...item };
+        const clip = await renderClip(tmpVid.name, spec, storage, (stage, pct, extra) =>
+          progress(stage, 20 + (80 * (i + pct / 100)) / items.length, { item: i, ...extra })
+        );
+        results.push({ index: i, ok: true, clip });
+      } catch (e) {
+        // Cancelado: corta el batch entero (apagado => 503/checkpoint, no un 200 con items fallidos)
+        if (isCancellation(e, runContext.getStore()?.signal)) throw e;
+        const err = normalizeErr(e);
+        log("ERR", { ...reqInfo, item: i }, err);
+        results.push({ index: i, ok: false, error: err });
+      }
+    }
+  } finally {
     tmpVid.removeCallback();
+  }
+
+  const failed = results.filter((r) => !r.ok).length;
+  return {
+    ok: true,
+    ...reqInfo,
+    source_cache: tmpVid.cache,
+    total: items.length,
+    succeeded: items.length - failed,
+    failed,
+    items: results,
+  };
+}
+
+app.post(
+  "/cut-batch",
+  jobRoute(
+    "cut-batch",
+    "Usa /echo para ver el body que llega. Verifica bucket/path exactos y permisos del Service Role.",
+    validateCutBatch,
+    runCutBatch
+  )
+);
+
+// --- COMPOSE (highlight reel: varios rangos + transiciones + intro/outro) ---
+const COMPOSE_MAX_SEGMENTS = Number(process.env.COMPOSE_MAX_SEGMENTS || 50);
+const COMPOSE_FPS = 30;
+const XFADE_TRANSITIONS = [
+  "fade",
+  "fadeblack",
+  "fadewhite",
+  "dissolve",
+  "wipeleft",
+  "wiperight",
+  "slideleft",
+  "slideright",
+  "circleopen",
+  "circleclose",
+];
+
+function validateInputRef(ref, label) {
+  if (!ref || typeof ref !== "object") return `${label} must be { video_url } or { source }`;
+  if (ref.video_url && !isHttpUrl(ref.video_url)) return `${label}.video_url must be http(s)`;
+  const bad = requireInput(ref);
+  return bad ? `${label}: ${bad}` : null;
+}
+
+function validateCompose(body) {
+  const sources = body.sources || [{ video_url: body.video_url, source: body.source }];
+  if (!Array.isArray(sources) || !sources.length) return "sources must be a non-empty array";
+  for (let i = 0; i < sources.length; i++) {
+    const bad = validateInputRef(sources[i], `sources[${i}]`);
+    if (bad) return bad;
+  }
+  if (!Array.isArray(body.segments) || !body.segments.length) {
+    return "segments must be a non-empty array of { source?, start_time, end_time }";
+  }
+  if (body.segments.length > COMPOSE_MAX_SEGMENTS) {
+    return `Too many segments (max ${COMPOSE_MAX_SEGMENTS})`;
+  }
+  for (let i = 0; i < body.segments.length; i++) {
+    const seg = body.segments[i] || {};
+    const idx = seg.source ?? 0;
+    if (!Number.isInteger(idx) || idx < 0 || idx >= sources.length) {
+      return `segments[${i}].source must be an index into sources (0..${sources.length - 1})`;
+    }
+    const bad = validateRange(seg.start_time, seg.end_time);
+    if (bad) return `segments[${i}]: ${bad}`;
+  }
+  for (const k of ["intro", "outro"]) {
+    if (body[k]) {
+      const bad = validateInputRef(body[k], k);
+      if (bad) return bad;
+    }
+  }
+  const tr = body.transition;
+  if (tr) {
+    if (tr.type && !XFADE_TRANSITIONS.includes(tr.type)) {
+      return `Unknown transition.type: ${tr.type} (${XFADE_TRANSITIONS.join("|")})`;
+    }
+    if (tr.duration !== undefined && !(typeof tr.duration === "number" && tr.duration > 0 && tr.duration <= 5)) {
+      return "transition.duration must be a number in (0, 5]";
+    }
+  }
+  const filters = body.filters || {};
+  if (body.storage?.driver && !storageDrivers[body.storage.driver]) {
+    return `Unknown storage.driver: ${body.storage.driver} (supabase|local|s3)`;
+  }
+  return (
+    validateCaptions(filters.captions) ||
+    validateReframe(filters) ||
+    validateOverlays(filters.overlays) ||
+    validateOutput(body.output) ||
+    validateComposeOutput(body.output) ||
+    validateAudioSelector(body.audio)
+  );
+}
+
+// /compose re-codifica siempre cada pieza: lo que elige cómo codificar un clip sólo aplica a /cut
+const CUT_ONLY_OUTPUT = ["preset_profile", "target_mb", "cut_mode"];
+
+function validateComposeOutput(output) {
+  const k = CUT_ONLY_OUTPUT.find((key) => output?.[key] !== undefined);
+  return k ? `output.${k} is only supported by /cut` : null;
+}
+
+/**
+ * Normaliza una pieza (rango de una fuente, o un bumper completo) a un intermedio
+ * común: mismo WxH, fps, yuv420p y audio AAC 48k estéreo (silencio si no tiene audio).
+ * Así las piezas se pueden unir con concat/xfade sin sorpresas.
+ */
+async function renderComposePiece(srcPath, piece, size, output, outPath, progress) {
+  const { width, height } = size;
+  const audioStream = await selectAudioStream(srcPath, piece.audio);
+  let clipFilters = { vfParts: [], reframe: null, tempFiles: [] };
+  try {
+    if (piece.filters) {
+      clipFilters = await buildClipFilters(srcPath, piece.filters, piece.start_time, piece.end_time, progress);
+    }
+    const vf = [
+      ...clipFilters.vfParts,
+      `scale=${width}:${height}:force_original_aspect_ratio=decrease`,
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`,
+      "setsar=1",
+      `fps=${COMPOSE_FPS}`,
+      "format=yuv420p",
+    ].join(",");
+    const range = piece.end_time !== undefined ? ["-ss", piece.start_time, "-to", piece.end_time] : [];
+    const silence = audioStream ? [] : ["-f", "lavfi", "-i", "anullsrc=r=48000:cl=stereo"];
+    const maps = audioStream
+      ? ["-map", "0:v:0", "-map", `0:${audioStream.index}`]
+      : ["-map", "0:v:0", "-map", "1:a:0", "-shortest"];
+    await runFfmpeg([
+      ...FFMPEG_COMMON, ...range, "-i", srcPath, ...silence, ...maps,
+      "-vf", vf, "-af", "aresample=48000,aformat=channel_layouts=stereo",
+      "-c:v", "libx264", "-preset", output.preset || "veryfast", "-crf", 18,
+      "-c:a", "aac", "-b:a", "192k",
+      outPath,
+    ]);
+    return { reframe: clipFilters.reframe, audioStream, duration: await getDurationSeconds(outPath) };
+  } finally {
+    for (const f of clipFilters.tempFiles) f.removeCallback();
+  }
+}
+
+// filter_complex que une N piezas: concat simple o cadena de xfade/acrossfade
+function buildComposeGraph(durations, transition, loudnorm) {
+  const n = durations.length;
+  const parts = [];
+  let v = "[0:v]";
+  let a = "[0:a]";
+  if (!transition || n === 1) {
+    const inputs = durations.map((_d, i) => `[${i}:v][${i}:a]`).join("");
+    parts.push(`${inputs}concat=n=${n}:v=1:a=1[vc][ac]`);
+    v = "[vc]";
+    a = "[ac]";
+  } else {
+    const d = transition.duration;
+    let acc = durations[0];
+    for (let i = 1; i < n; i++) {
+      const offset = Number((acc - d).toFixed(3));
+      parts.push(`${v}[${i}:v]xfade=transition=${transition.type}:duration=${d}:offset=${offset}[vx${i}]`);
+      parts.push(`${a}[${i}:a]acrossfade=d=${d}[ax${i}]`);
+      v = `[vx${i}]`;
+      a = `[ax${i}]`;
+      acc += durations[i] - d;
+    }
+  }
+  parts.push(`${a}${loudnorm ? "loudnorm=I=-16:TP=-1.5:LRA=11" : "anull"}[aout]`);
+  return { graph: parts.join(";"), video: v, audio: "[aout]" };
+}
+
+// Posición de cada pieza en la salida (con transición, cada unión solapa `d` segundos)
+function composeTimeline(pieces, durations, overlap) {
+  let t = 0;
+  return pieces.map((p, i) => {
+    const entry = {
+      kind: p.kind,
+      ...(p.kind === "segment"
+        ? { segment: p.index, source: p.source, source_start: p.start_time, source_end: p.end_time }
+        : {}),
+      audio_stream: p.audioStream ?? null,
+      output_start: Number(t.toFixed(3)),
+      output_end: Number((t + durations[i]).toFixed(3)),
+    };
+    t += durations[i] - overlap;
+    return entry;
+  });
+}
+
+async function runCompose(body, reqInfo, progress) {
+  const { storage } = body;
+  const filters = { ...DEFAULT_CUT_FILTERS, ...(body.filters || {}) };
+  const output = { ...DEFAULT_CUT_OUTPUT, ...(body.output || {}) };
+  const sources = body.sources || [{ video_url: body.video_url, source: body.source }];
+
+  const handles = new Map();
+  const workDir = tmp.dirSync({ unsafeCleanup: true });
+  const id = uuidv4();
+  const out = `/tmp/compose_${id}.mp4`;
+  const thumb = `/tmp/compose_${id}.jpg`;
+
+  try {
+    // Descarga única por fuente referenciada (+ bumpers)
+    progress("downloading", 0);
+    const fetchRef = async (key, ref) => {
+      if (!handles.has(key)) {
+        handles.set(key, await fetchSource({ video_url: ref.video_url, source: ref.source }, ".mp4", body.cache));
+      }
+      return handles.get(key);
+    };
+    const pieces = [];
+    if (body.intro) pieces.push({ kind: "intro", handle: await fetchRef("intro", body.intro) });
+    for (let i = 0; i < body.segments.length; i++) {
+      const seg = body.segments[i];
+      const src = seg.source ?? 0;
+      pieces.push({
+        kind: "segment",
+        index: i,
+        source: src,
+        start_time: seg.start_time,
+        end_time: seg.end_time,
+        filters: { ...filters, loudnorm: false },
+        audio: body.audio,
+        handle: await fetchRef(`src${src}`, sources[src]),
+      });
+    }
+    if (body.outro) pieces.push({ kind: "outro", handle: await fetchRef("outro", body.outro) });
+
+    // Tamaño común: el del formato pedido o el de la primera fuente
+    const size = {
+      ...(await outputFrameSize(pieces.find((p) => p.kind === "segment").handle.name, filters.format)),
+    };
+    size.width -= size.width % 2;
+    size.height -= size.height % 2;
+
+    const files = [];
+    const durations = [];
+    const reframes = [];
+    for (let i = 0; i < pieces.length; i++) {
+      const p = pieces[i];
+      const f = `${workDir.name}/piece_${i}.mp4`;
+      const r = await renderComposePiece(p.handle.name, p, size, output, f, (stage, pct, extra) =>
+        progress(stage, 10 + (70 * (i + (pct || 0) / 100)) / pieces.length, { piece: i, ...extra })
+      );
+      chargeMedia(r.duration);
+      files.push(f);
+      durations.push(r.duration);
+      p.audioStream = r.audioStream;
+      if (p.kind === "segment") reframes.push(r.reframe);
+    }
+
+    // La transición no puede durar más que la pieza más corta
+    let transition = null;
+    if (body.transition && pieces.length > 1) {
+      const requested = body.transition.duration ?? 0.5;
+      const d = Math.min(requested, Math.min(...durations) / 2);
+      transition = { type: body.transition.type || "fade", duration: Number(d.toFixed(3)) };
+    }
+
+    progress("encoding", 80);
+    const { graph, video, audio } = buildComposeGraph(durations, transition, filters.loudnorm);
+    const faststart = output.faststart !== false ? ["-movflags", "+faststart"] : [];
+    const total = durations.reduce((acc, d) => acc + d, 0) - (transition?.duration || 0) * (durations.length - 1);
+    await runFfmpeg(
+      [
+        ...FFMPEG_COMMON,
+        ...files.flatMap((f) => ["-i", f]),
+        "-filter_complex", graph, "-map", video, "-map", audio,
+        "-c:v", output.video_codec || "libx264",
+        "-preset", output.preset || "veryfast",
+        "-crf", output.crf || 23,
+        "-c:a", output.audio_codec || "aac",
+        ...faststart,
+        out,
+      ],
+      { onProgress: ffmpegProgress(progress, "encoding", 80, 90, total) }
+    );
+
+    const timeline = composeTimeline(pieces, durations, transition?.duration || 0);
+    const firstSeg = timeline.find((t) => t.kind === "segment");
+    await runFfmpeg([...FFMPEG_COMMON, "-ss", firstSeg.output_start, "-i", out, "-frames:v", 1, thumb]);
 
-    return res.json({
+    progress("uploading", 90);
+    const url = await uploadToStorage(out, `compose/${id}.mp4`, "video/mp4", storage);
+    const thumbnail_url = await uploadToStorage(thumb, `compose/${id}.jpg`, "image/jpeg", storage);
+
+    return {
       ok: true,
       ...reqInfo,
-      clip: { url: clipUrl, thumbnail_url: thumbUrl, duration, size_bytes },
-    });
-  } catch (e) {
-    const err = normalizeErr(e);
-    log("ERR", reqInfo, err);
-    return res.status(500).json({
-      ok: false,
-      ...reqInfo,
-      error: err,
-      hint:
-        "Usa /echo para ver el body que llega. Verifica bucket/path exactos y permisos del Service Role.",
-    });
+      source_cache: Object.fromEntries([...handles].map(([k, h]) => [k, h.cache])),
+      video: {
+        url,
+        thumbnail_url,
+        duration: await getDurationSeconds(out),
+        size_bytes: fs.statSync(out).size,
+        width: size.width,
+        height: size.height,
+        fps: COMPOSE_FPS,
+        transition,
+        reframe: reframes.find(Boolean) || null,
+      },
+      timeline,
+    };
+  } finally {
+    for (const h of handles.values()) h.removeCallback();
+    workDir.removeCallback();
+    fs.existsSync(out) && fs.unlinkSync(out);
+    fs.existsSync(thumb) && fs.unlinkSync(thumb);
   }
-});
+}
+
+app.post(
+  "/compose",
+  jobRoute(
+    "compose",
+    "Cada segments[i].source es un índice de sources; verifica rangos con /probe.",
+    validateCompose,
+    runCompose
+  )
+);
+
+function startServer() {
+  tmp.setGracefulCleanup();
+  // Restos de un proceso anterior (crash / SIGKILL): más viejos que el timeout máximo de ffmpeg
+  const removed = sweepTmpFiles((st) => Date.now() - st.mtimeMs > FFMPEG_TIMEOUT_MS);
+  if (removed) log("TMP", `removed ${removed} stale temp files`);
+  for (const sig of ["SIGTERM", "SIGINT"]) process.on(sig, () => shutdown(sig));
+
+  httpServer = app.listen(process.env.PORT || 3000, () => {
+    console.log("svc listening");
+    resumeCheckpointedJobs();
+  });
+}
+
+// Sólo se levanta al ejecutar server.js; los tests (test/*.test.js) importan la app y los helpers
+if (process.argv[1] && nodePath.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) startServer();
 
-app.listen(process.env.PORT || 3000, () => console.log("svc listening"));
+export {
+  app,
+  buildAss,
+  cacheKeyForUrl,
+  chargeMedia,
+  checkSourceUrl,
+  errorStatus,
+  fetchSource,
+  fmtTimestamp,
+  isHttpUrl,
+  isPrivateAddress,
+  lerpExpr,
+  localFilePath,
+  overlayImageExt,
+  parseSource,
+  parseSrtVtt,
+  planChunks,
+  prepareAudio,
+  runContext,
+  segmentsToSrt,
+  selectAudioStream,
+  segmentsToVtt,
+  shiftAss,
+  signatureValid,
+  signCallback,
+  smartCutLevel,
+  smartCutMismatch,
+  speechCleanupFilters,
+  stitchTranscripts,
+  toOriginalTime,
+  validateAstats,
+  validateAudioSelector,
+  validateCallbackUrl,
+  validateCaptions,
+  validateCleanup,
+  validateExtractAudio,
+  validateReframe,
+  validateRemoveSilence,
+  validateScenes,
+  validateSnap,
+  validateThumbnails,
+};
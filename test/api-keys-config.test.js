@@ -0,0 +1,13 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import nodePath from "path";
+import { loadServer, testDir } from "./helpers.js";
+
+const keysFile = nodePath.join(testDir, "api-keys.json");
+fs.writeFileSync(keysFile, JSON.stringify([{ name: "nosecret", key: "k-1", require_signature: true }]));
+process.env.API_KEYS_FILE = keysFile;
+
+test("loadApiKeys: require_signature sin secret no arranca (no acepta requests sin firmar)", async () => {
+  await assert.rejects(loadServer(), /API key "nosecret": require_signature needs a secret/);
+});
@@ -0,0 +1,154 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import nodePath from "path";
+import { loadServer, listen, testDir, useFakeMediaTools } from "./helpers.js";
+
+useFakeMediaTools();
+
+const keysFile = nodePath.join(testDir, "api-keys.json");
+fs.writeFileSync(
+  keysFile,
+  JSON.stringify([
+    { name: "signed", key: "k-signed", secret: "s3cret", require_signature: true },
+    { name: "echo-only", key: "k-echo", routes: ["/echo"] },
+    { name: "off", key: "k-off", disabled: true },
+    { name: "slow", key: "k-slow", limits: { requests_per_minute: 2 } },
+    {
+      name: "quota",
+      key_sha256: crypto.createHash("sha256").update("k-quota").digest("hex"),
+      limits: { media_minutes_per_day: 1 },
+    },
+    { name: "media", key: "k-media", limits: { media_minutes_per_day: 10 } },
+  ])
+);
+process.env.API_KEYS_FILE = keysFile;
+process.env.API_SIGNATURE_TOLERANCE_S = "300";
+const { app, chargeMedia, runContext, signatureValid } = await loadServer();
+
+let http;
+before(async () => {
+  http = await listen(app);
+});
+after(() => http.close());
+
+const hmac = (secret, text) => crypto.createHmac("sha256", secret).update(text).digest("hex");
+const now = () => Math.floor(Date.now() / 1000);
+
+function signedReq({ ts = now(), method = "POST", url = "/echo", body = '{"a":1}', sig } = {}) {
+  return {
+    method,
+    originalUrl: url,
+    rawBody: Buffer.from(body),
+    headers: {
+      "x-signature-timestamp": String(ts),
+      "x-signature": sig ?? `sha256=${hmac("s3cret", `${ts}.${method}.${url}.${body}`)}`,
+    },
+  };
+}
+
+test("signatureValid: HMAC sobre <timestamp>.<METHOD>.<url>.<body> dentro de la tolerancia", () => {
+  assert.equal(signatureValid(signedReq(), "s3cret"), true);
+  assert.equal(signatureValid(signedReq(), "otro"), false);
+  const req = signedReq();
+  req.rawBody = Buffer.from('{"a":2}');
+  assert.equal(signatureValid(req, "s3cret"), false, "body alterado");
+  req.rawBody = Buffer.from('{"a":1}');
+  req.originalUrl = "/echo?x=1";
+  assert.equal(signatureValid(req, "s3cret"), false, "url alterada");
+  assert.equal(signatureValid(signedReq({ ts: now() - 301 }), "s3cret"), false, "fuera de tolerancia");
+  assert.equal(signatureValid(signedReq({ sig: "sha256=zz" }), "s3cret"), false);
+  assert.equal(signatureValid({ ...signedReq(), headers: {} }, "s3cret"), false);
+});
+
+test("apiAuth: 401 sin key, key inválida o firma requerida ausente", async () => {
+  const none = await http.request("POST", "/echo", { body: {} });
+  assert.equal(none.status, 401);
+  assert.equal(none.json.error.code, "API_KEY_MISSING");
+
+  const bad = await http.request("POST", "/echo", { body: {}, headers: { "X-API-Key": "nope" } });
+  assert.equal(bad.json.error.code, "API_KEY_INVALID");
+
+  const unsigned = await http.request("POST", "/echo", { body: {}, headers: { "X-API-Key": "k-signed" } });
+  assert.equal(unsigned.status, 401);
+  assert.equal(unsigned.json.error.code, "SIGNATURE_INVALID");
+
+  const body = '{"hello":"world"}';
+  const ts = now();
+  const signed = await http.request("POST", "/echo", {
+    body,
+    headers: {
+      Authorization: "Bearer k-signed",
+      "X-Signature-Timestamp": String(ts),
+      "X-Signature": `sha256=${hmac("s3cret", `${ts}.POST./echo.${body}`)}`,
+    },
+  });
+  assert.equal(signed.status, 200);
+  assert.deepEqual(signed.json.echo, { hello: "world" });
+});
+
+test("apiAuth: 403 key desactivada o ruta fuera de `routes`", async () => {
+  const off = await http.request("POST", "/echo", { body: {}, headers: { "X-API-Key": "k-off" } });
+  assert.equal(off.status, 403);
+  assert.equal(off.json.error.code, "API_KEY_DISABLED");
+
+  const route = await http.request("POST", "/probe", { body: {}, headers: { "X-API-Key": "k-echo" } });
+  assert.equal(route.status, 403);
+  assert.equal(route.json.error.code, "ROUTE_NOT_ALLOWED");
+  // /usage y /jobs/* quedan siempre permitidas
+  const usage = await http.request("GET", "/usage", { headers: { "X-API-Key": "k-echo" } });
+  assert.equal(usage.status, 200);
+  assert.equal(usage.json.keys[0].name, "echo-only");
+});
+
+test("apiAuth: 429 al pasar requests_per_minute, con Retry-After", async () => {
+  const headers = { "X-API-Key": "k-slow" };
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await http.request("POST", "/echo", { body: {}, headers })).status, 200);
+  }
+  const r = await http.request("POST", "/echo", { body: {}, headers });
+  assert.equal(r.status, 429);
+  assert.equal(r.json.error.code, "RATE_LIMITED");
+  assert.ok(Number(r.headers.get("retry-after")) >= 1);
+});
+
+test("chargeMedia: descuenta de la cuota diaria; agotada => 429 antes de procesar", async () => {
+  const apiKey = { name: "quota", limits: { media_minutes_per_day: 1 } };
+  const charge = (seconds) => runContext.run({ apiKey }, () => chargeMedia(seconds));
+  charge(40);
+  assert.throws(() => charge(30), { code: "MEDIA_QUOTA_EXCEEDED" }, "40 + 30 s no entra en 1 min");
+  charge(20);
+
+  const usage = await http.request("GET", "/usage", { headers: { "X-API-Key": "k-quota" } });
+  assert.equal(usage.json.keys[0].media_minutes_today, 1);
+
+  const r = await http.request("POST", "/probe", {
+    body: { video_url: "https://cdn.example.com/a.mp4" },
+    headers: { "X-API-Key": "k-quota" },
+  });
+  assert.equal(r.status, 429);
+  assert.equal(r.json.error.code, "MEDIA_QUOTA_EXCEEDED");
+  assert.ok(Number(r.headers.get("retry-after")) > 0);
+});
+
+test("prepareAudio: duración ilegible con cuota de media => 422, sin procesar gratis", async () => {
+  const dir = nodePath.join(process.env.LOCAL_STORAGE_DIR, "videos");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(nodePath.join(dir, "noduration.mp4"), "x");
+  process.env.FAKE_DURATION = "N/A"; // ffprobe no da format=duration
+  try {
+    for (const route of ["/extract-audio", "/transcribe"]) {
+      const r = await http.request("POST", route, {
+        body: { source: "local://videos/noduration.mp4" },
+        headers: { "X-API-Key": "k-media" },
+      });
+      assert.equal(r.status, 422, route);
+      assert.equal(r.json.error.code, "MEDIA_DURATION_UNKNOWN", route);
+    }
+  } finally {
+    delete process.env.FAKE_DURATION;
+  }
+  const usage = await http.request("GET", "/usage", { headers: { "X-API-Key": "k-media" } });
+  assert.equal(usage.json.keys[0].media_minutes_today, 0);
+});
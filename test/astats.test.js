@@ -0,0 +1,62 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import nodePath from "path";
+import { loadServer, listen, useFakeMediaTools } from "./helpers.js";
+
+useFakeMediaTools();
+const { app, chargeMedia, errorStatus, fetchSource, runContext, validateAstats } = await loadServer();
+
+let http;
+before(async () => {
+  http = await listen(app);
+});
+after(() => http.close());
+
+const srcDir = nodePath.join(process.env.LOCAL_STORAGE_DIR, "videos");
+const source = "local://videos/laughs.mp4";
+
+function writeSource(content, mtime) {
+  fs.mkdirSync(srcDir, { recursive: true });
+  fs.writeFileSync(nodePath.join(srcDir, "laughs.mp4"), content);
+  fs.utimesSync(nodePath.join(srcDir, "laughs.mp4"), mtime, mtime);
+}
+
+test("validateAstats: baseline_window en [1, 600] segundos", () => {
+  assert.equal(validateAstats({ source, rank: true, baseline_window: 45 }), null);
+  for (const v of [0, 601, "30", -5]) {
+    assert.match(validateAstats({ source, rank: true, baseline_window: v }), /baseline_window/, String(v));
+  }
+});
+
+test("chargeMedia: duración desconocida con cuota => MEDIA_DURATION_UNKNOWN (422)", () => {
+  const limited = { name: "astats-quota", limits: { media_minutes_per_day: 10 } };
+  const charge = (apiKey, seconds) => runContext.run({ apiKey }, () => chargeMedia(seconds));
+  for (const v of [null, undefined, Infinity, NaN]) {
+    assert.throws(() => charge(limited, v), { code: "MEDIA_DURATION_UNKNOWN" }, String(v));
+  }
+  assert.equal(errorStatus({ code: "MEDIA_DURATION_UNKNOWN" }), 422);
+  // Sin cuota no hay nada que proteger; sin key no se cobra
+  charge({ name: "astats-free", limits: { media_minutes_per_day: 0 } }, null);
+  charge(null, null);
+  charge(limited, 60);
+  assert.throws(() => charge(limited, 600), { code: "MEDIA_QUOTA_EXCEEDED" });
+});
+
+test("/astats: si falla también el fallback de silencedetect se libera el pin de la fuente", async () => {
+  writeSource("v1", new Date("2024-01-01"));
+  process.env.FAKE_FFMPEG_FAIL = "-vn"; // measureEnergy y silencedetect
+  try {
+    const r = await http.request("POST", "/astats", { body: { source } });
+    assert.equal(r.status, 500);
+    assert.equal(r.json.error.code, "PROCESS_FAILED");
+  } finally {
+    delete process.env.FAKE_FFMPEG_FAIL;
+  }
+  const cached = await fetchSource({ source });
+  cached.removeCallback();
+  writeSource("v2-changed", new Date("2024-02-01"));
+  const fresh = await fetchSource({ source });
+  fresh.removeCallback();
+  assert.equal(fs.existsSync(cached.name), false, "sin pin colgado la versión reemplazada se borra");
+});
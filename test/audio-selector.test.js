@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer, useFakeMediaTools } from "./helpers.js";
+
+useFakeMediaTools({
+  FAKE_AUDIO_STREAMS: JSON.stringify([
+    { index: 1, codec_name: "aac", channels: 2, tags: { language: "eng", title: "Main" } },
+    { index: 2, codec_name: "aac", channels: 2, tags: { language: "eng", title: "Director Commentary (a+)+" } },
+  ]),
+});
+const { selectAudioStream, validateAudioSelector } = await loadServer();
+
+test("validateAudioSelector: title es texto de hasta 200 caracteres", () => {
+  assert.equal(validateAudioSelector({ title: "commentary" }), null);
+  assert.equal(validateAudioSelector({ title: "(a+)+$" }), null, "no se compila: no hay regex inválida");
+  assert.match(validateAudioSelector({ title: 3 }), /audio.title must be a string/);
+  assert.match(validateAudioSelector({ title: "x".repeat(201) }), /max 200/);
+});
+
+test("selectAudioStream: title busca el texto literal, sin distinguir mayúsculas", async () => {
+  const byWord = await selectAudioStream("/dev/null", { title: "COMMENTARY" });
+  assert.deepEqual([byWord.index, byWord.reason], [2, "title"]);
+  // Metacaracteres literales: con la regex de antes "(a+)+" no coincidía con su propio texto
+  assert.equal((await selectAudioStream("/dev/null", { title: "(a+)+" })).index, 2);
+  // Sin coincidencias no filtra: queda la primera
+  assert.equal((await selectAudioStream("/dev/null", { title: "aaaaaaaaaaaaaaaaaaaaaaaaaaaa!" })).index, 1);
+});
@@ -0,0 +1,100 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+
+const { buildAss, parseSrtVtt, shiftAss, validateCaptions } = await loadServer();
+
+const style = {
+  font: "DejaVu Sans",
+  size: 0.05,
+  bold: true,
+  color: "#FFFFFF",
+  highlight_color: "#FFD400",
+  outline_color: "#00000080",
+  outline: 3,
+  shadow: 0,
+  box: false,
+  position: "bottom",
+};
+
+test("parseSrtVtt: SRT con CRLF y VTT con settings y tags", () => {
+  const srt =
+    "1\r\n00:00:01,000 --> 00:00:02,500\r\nHola\r\nmundo\r\n\r\n" +
+    "2\r\n00:00:03,000 --> 00:00:04,000\r\n\r\n"; // cue vacío: se descarta
+  assert.deepEqual(parseSrtVtt(srt), [{ start: 1, end: 2.5, text: "Hola\nmundo" }]);
+
+  const vtt = "WEBVTT\n\nintro\n00:01.000 --> 00:02.000 align:start\n<b>uno</b>\n\n01:00:00.500 --> 01:00:01.000\ndos\n";
+  assert.deepEqual(parseSrtVtt(vtt), [
+    { start: 1, end: 2, text: "uno" },
+    { start: 3600.5, end: 3601, text: "dos" },
+  ]);
+});
+
+test("shiftAss: desplaza, recorta al clip y descarta lo que queda fuera", () => {
+  const ass = [
+    "[Events]",
+    "Dialogue: 0,0:00:05.00,0:00:07.00,Default,,0,0,0,,antes",
+    "Dialogue: 0,0:00:09.00,0:00:12.00,Default,,0,0,0,,cruza, con coma",
+    "Dialogue: 0,0:00:14.00,0:00:30.00,Default,,0,0,0,,final",
+  ].join("\r\n");
+  assert.equal(
+    shiftAss(ass, -10, 8),
+    [
+      "[Events]",
+      "Dialogue: 0,0:00:00.00,0:00:02.00,Default,,0,0,0,,cruza, con coma",
+      "Dialogue: 0,0:00:04.00,0:00:08.00,Default,,0,0,0,,final",
+    ].join("\n")
+  );
+});
+
+test("buildAss: estilo, colores ASS y karaoke por palabra", () => {
+  const out = buildAss(
+    [
+      { start: 0, end: 1, text: "{x}uno\ndos" },
+      {
+        start: 1,
+        end: 2,
+        text: "tres cuatro",
+        words: [
+          { start: 1.2, end: 1.5, word: "tres" },
+          { start: 1.5, end: 2, word: "cuatro" },
+        ],
+      },
+    ],
+    style,
+    1080,
+    1920
+  );
+  assert.match(out, /^PlayResX: 1080$/m);
+  assert.match(out, /^Style: Default,DejaVu Sans,96,&H00FFFFFF,&H00FFFFFF,&H7F000000,&H7F000000,-1,/m);
+  assert.match(out, /^Style: Karaoke,DejaVu Sans,96,&H0000D4FF,&H00FFFFFF,/m);
+  assert.match(out, /,1,3,0,2,65,65,115,1$/m);
+  // Sin llaves no hay override tags; los saltos de línea pasan a \N
+  assert.match(out, /^Dialogue: 0,0:00:00.00,0:00:01.00,Default,,0,0,0,,xuno\\Ndos$/m);
+  assert.match(out, /^Dialogue: 0,0:00:01.00,0:00:02.00,Karaoke,,0,0,0,,\{\\k20\}\{\\k30\}tres \{\\k50\}cuatro$/m);
+  assert.doesNotMatch(out, /NaN|undefined/);
+});
+
+test("validateCaptions: entrada, preset y style", () => {
+  assert.equal(validateCaptions(undefined), null);
+  assert.equal(validateCaptions({ input: "https://x/a.srt", preset: "boxed", style }), null);
+  assert.match(validateCaptions({ input: 42 }), /filters.captions must be/);
+  assert.match(validateCaptions({ input: "a.srt", preset: "neon" }), /Unknown captions preset/);
+});
+
+test("validateCaptions: style rechaza claves, rangos, colores y fuentes inválidos", () => {
+  const bad = (s) => validateCaptions({ input: "a.srt", style: s });
+  assert.match(bad("big"), /must be an object/);
+  assert.match(bad({ colour: "#FFFFFF" }), /Unknown captions.style keys: colour/);
+  assert.match(bad({ position: "left" }), /Unknown captions position/);
+  assert.match(bad({ size: "40" }), /size must be a number/);
+  assert.match(bad({ size: 0 }), /size must be a number/);
+  assert.match(bad({ outline: -1 }), /outline must be a number/);
+  assert.match(bad({ margin_v: Infinity }), /margin_v must be a number/);
+  assert.match(bad({ bold: "yes" }), /bold must be a boolean/);
+  assert.match(bad({ color: "red" }), /color must be a color/);
+  assert.match(bad({ outline_color: "#0000" }), /outline_color must be a color/);
+  assert.match(bad({ font: "Arial,1,&H00000000" }), /must not contain commas/);
+  assert.match(bad({ font: "Arial\n[Events]" }), /must not contain commas or line breaks/);
+  assert.match(bad({ font: "" }), /font must be a non-empty string/);
+});
@@ -0,0 +1,38 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer, listen } from "./helpers.js";
+
+const { app } = await loadServer();
+
+let http;
+before(async () => {
+  http = await listen(app);
+});
+after(() => http.close());
+
+const compose = (output) =>
+  http.request("POST", "/compose", {
+    body: {
+      video_url: "https://cdn.example.com/a.mp4",
+      segments: [{ start_time: 0, end_time: 5 }],
+      output,
+    },
+  });
+
+test("/compose: opciones de output exclusivas de /cut => 400", async () => {
+  for (const [k, v] of [
+    ["cut_mode", "smart"],
+    ["preset_profile", "tiktok"],
+    ["target_mb", 10],
+  ]) {
+    const r = await compose({ [k]: v });
+    assert.equal(r.status, 400, k);
+    assert.match(r.json.error, new RegExp(`output.${k} is only supported by /cut`), k);
+  }
+});
+
+test("/compose: cut_mode inválido sigue fallando en validateOutput", async () => {
+  const r = await compose({ cut_mode: "fast" });
+  assert.equal(r.status, 400);
+  assert.match(r.json.error, /Unsupported output.cut_mode/);
+});
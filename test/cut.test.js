@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+
+const { smartCutLevel, smartCutMismatch, validateSnap } = await loadServer();
+
+// Stream de video tal como lo devuelve ffprobe sobre un .ts
+const h264 = {
+  codec_type: "video",
+  codec_name: "h264",
+  profile: "High",
+  level: 40,
+  width: 1920,
+  height: 1080,
+  pix_fmt: "yuv420p",
+  r_frame_rate: "30000/1001",
+  time_base: "1/90000",
+  bits_per_raw_sample: "8",
+};
+
+test("smartCutMismatch: streams equivalentes son compatibles", () => {
+  assert.equal(smartCutMismatch(h264, { ...h264 }), null);
+  // Sin bits_per_raw_sample la profundidad sale del pix_fmt
+  assert.equal(smartCutMismatch(h264, { ...h264, bits_per_raw_sample: undefined }), null);
+});
+
+test("smartCutMismatch: perfil, nivel, resolución, fps, time base o profundidad distintos", () => {
+  const cases = {
+    profile: { profile: "Main" },
+    level: { level: 31 },
+    width: { width: 1280 },
+    height: { height: 720 },
+    r_frame_rate: { r_frame_rate: "30/1" },
+    time_base: { time_base: "1/15360" },
+    bit_depth: { pix_fmt: "yuv420p10le", bits_per_raw_sample: undefined },
+  };
+  for (const [key, diff] of Object.entries(cases)) {
+    assert.match(smartCutMismatch(h264, { ...h264, ...diff }), new RegExp(`^${key} `), key);
+  }
+  assert.equal(smartCutMismatch(h264, { ...h264, level: 31 }), "level 31 != 40");
+  assert.match(smartCutMismatch(h264, undefined), /^codec_name null != h264$/);
+});
+
+test("smartCutLevel: nivel de ffprobe => argumentos del encoder", () => {
+  assert.deepEqual(smartCutLevel("libx264", 31), ["-level:v", "3.1"]);
+  assert.deepEqual(smartCutLevel("libx265", 120), ["-x265-params", "level-idc=4.0"]);
+  assert.deepEqual(smartCutLevel("libx264", undefined), []);
+  assert.deepEqual(smartCutLevel("libx264", -99), []);
+});
+
+test("validateSnap: threshold y parámetros de silencio con los rangos de /scenes y extract-audio", () => {
+  assert.equal(validateSnap("scene"), null);
+  assert.equal(validateSnap({ mode: "silence", silence_db: -40, silence_min_seconds: 0.5, tolerance: 2 }), null);
+  assert.match(validateSnap({ mode: "scene", threshold: 0 }), /snap.threshold/);
+  assert.match(validateSnap({ mode: "scene", threshold: "0.4" }), /snap.threshold/);
+  assert.match(validateSnap({ mode: "silence", silence_db: 5 }), /snap.silence_db/);
+  assert.match(validateSnap({ mode: "silence", silence_min_seconds: 0 }), /snap.silence_min_seconds/);
+  assert.match(validateSnap({ mode: "keyframe", tolerance: -1 }), /snap.tolerance/);
+});
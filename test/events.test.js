@@ -0,0 +1,67 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import nodePath from "path";
+import { loadServer, listen, useFakeMediaTools } from "./helpers.js";
+
+process.env.API_KEYS = "alice:key-alice,bob:key-bob";
+useFakeMediaTools();
+const { app } = await loadServer();
+
+let http;
+before(async () => {
+  http = await listen(app);
+  const dir = nodePath.join(process.env.LOCAL_STORAGE_DIR, "videos");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(nodePath.join(dir, "clip.mp4"), "fake");
+});
+after(() => http.close());
+
+const as = (key, extra = {}) => ({ "X-API-Key": key, ...extra });
+const events = (id, key) => http.request("GET", `/jobs/${id}/events`, { headers: as(key) });
+
+test("GET /jobs/:id/events de un id desconocido => 404 (no abre canal)", async () => {
+  for (let i = 0; i < 2; i++) {
+    const r = await events("nobody-started-this", "key-alice");
+    assert.equal(r.status, 404);
+  }
+});
+
+test("canal síncrono (X-Request-Id): sólo lo ve la key que hizo el request", async () => {
+  const post = await http.request("POST", "/probe", {
+    body: { source: "local://videos/clip.mp4" },
+    headers: as("key-alice", { "X-Request-Id": "sync-alice-1" }),
+  });
+  assert.equal(post.status, 200);
+
+  const other = await events("sync-alice-1", "key-bob");
+  assert.equal(other.status, 403);
+  assert.equal(other.json.error.code, "JOB_NOT_OWNED");
+
+  const own = await events("sync-alice-1", "key-alice");
+  assert.equal(own.status, 200);
+  assert.match(own.headers.get("content-type"), /text\/event-stream/);
+  assert.match(own.text, /event: end\ndata: \{"state":"succeeded","status":200\}/);
+});
+
+test("un X-Request-Id ya en uso no publica en el canal ajeno", async () => {
+  const r = await http.request("POST", "/probe", {
+    body: { source: "local://videos/missing.mp4" },
+    headers: as("key-bob", { "X-Request-Id": "sync-alice-1" }),
+  });
+  assert.equal(r.status, 404);
+  const own = await events("sync-alice-1", "key-alice");
+  assert.match(own.text, /"status":200/);
+  assert.doesNotMatch(own.text, /"status":404/);
+});
+
+test("job async: eventos sólo para su key", async () => {
+  const post = await http.request("POST", "/probe", {
+    body: { source: "local://videos/clip.mp4", async: true },
+    headers: as("key-alice"),
+  });
+  assert.equal(post.status, 202);
+  const other = await events(post.json.job_id, "key-bob");
+  assert.equal(other.status, 403);
+  assert.equal(other.json.error.code, "JOB_NOT_OWNED");
+});
@@ -0,0 +1,127 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import nodePath from "path";
+import { loadServer, useFakeMediaTools } from "./helpers.js";
+
+useFakeMediaTools();
+const { errorStatus, fetchSource, planChunks, prepareAudio, validateExtractAudio } = await loadServer();
+
+const srcDir = nodePath.join(process.env.LOCAL_STORAGE_DIR, "videos");
+const source = "local://videos/talk.mp4";
+const noop = () => {};
+
+function writeSource(content, mtime) {
+  fs.mkdirSync(srcDir, { recursive: true });
+  fs.writeFileSync(nodePath.join(srcDir, "talk.mp4"), content);
+  fs.utimesSync(nodePath.join(srcDir, "talk.mp4"), mtime, mtime);
+}
+
+const audioTemps = () => new Set(fs.readdirSync("/tmp").filter((f) => f.startsWith("audio_")));
+
+test("validateExtractAudio: formato, sample_rate y bitrate compatibles", () => {
+  const base = { source };
+  assert.equal(validateExtractAudio({ ...base, format: "mp3", sample_rate: 44100, bitrate_kbps: 128 }), null);
+  assert.equal(validateExtractAudio({ ...base, format: "opus", sample_rate: 48000, bitrate_kbps: 24 }), null);
+  assert.match(validateExtractAudio({ ...base, format: "aac" }), /Unsupported format/);
+  assert.match(validateExtractAudio({ ...base, format: "opus", sample_rate: 44100 }), /Unsupported sample_rate/);
+  // MP3 a 8 kHz (MPEG-2.5) no llega a 128 kbps: antes fallaba dentro de ffmpeg con 500
+  assert.match(
+    validateExtractAudio({ ...base, format: "mp3", sample_rate: 8000, bitrate_kbps: 128 }),
+    /between 8 and 64/
+  );
+  // Sin sample_rate se valida contra el default (16 kHz => MPEG-2, máx. 160)
+  assert.match(validateExtractAudio({ ...base, format: "mp3", bitrate_kbps: 192 }), /between 8 and 160/);
+  assert.match(validateExtractAudio({ ...base, format: "flac", bitrate_kbps: 64 }), /does not apply to flac/);
+  assert.match(validateExtractAudio({ ...base, target_mb: 0 }), /target_mb/);
+  assert.match(validateExtractAudio({ ...base, min_chunk_seconds: "10" }), /min_chunk_seconds/);
+});
+
+test("validateExtractAudio: solape y ventana de silencio", () => {
+  const body = { source, overlap_seconds: 2, align_silence: true, silence_tolerance_seconds: 5 };
+  assert.equal(validateExtractAudio(body), null);
+  assert.match(validateExtractAudio({ source, overlap_seconds: -1 }), /overlap_seconds/);
+  assert.match(validateExtractAudio({ source, align_silence: "yes" }), /align_silence/);
+  assert.match(validateExtractAudio({ source, silence_tolerance_seconds: "3" }), /silence_tolerance_seconds/);
+});
+
+test("planChunks: cortes fijos, último chunk hasta el final", () => {
+  assert.deepEqual(planChunks(25, 10), [
+    { start: 0, end: 10, boundary: "fixed" },
+    { start: 10, end: 20, boundary: "fixed" },
+    { start: 20, end: 25, boundary: "end" },
+  ]);
+  assert.deepEqual(planChunks(8, 10), [{ start: 0, end: 8, boundary: "end" }]);
+});
+
+test("planChunks: el siguiente chunk empieza `overlap` antes del corte", () => {
+  const plan = planChunks(25, 10, { overlap: 2 });
+  assert.deepEqual(plan.map((c) => [c.start, c.end]), [[0, 10], [8, 18], [16, 25]]);
+  for (const c of plan) assert.ok(c.end - c.start <= 10, "el solape cuenta dentro de maxSeconds");
+});
+
+test("planChunks: alinea al centro del silencio dentro de la ventana, sólo hacia atrás", () => {
+  const silences = [
+    { start: 7, end: 8 },   // centro 7.5: dentro de [10-3, 10]
+    { start: 10.5, end: 11 }, // después del corte: no se usa
+    { start: 1, end: 2 },   // fuera de la ventana
+  ];
+  const plan = planChunks(20, 10, { silences, tolerance: 3 });
+  assert.deepEqual(plan[0], { start: 0, end: 7.5, boundary: "silence" });
+  assert.equal(plan[1].start, 7.5);
+  // Sin silencio dentro de la ventana el corte queda fijo
+  assert.equal(planChunks(20, 10, { silences: [{ start: 1, end: 2 }], tolerance: 3 })[0].boundary, "fixed");
+  // tolerance 0 desactiva la alineación
+  assert.equal(planChunks(20, 10, { silences, tolerance: 0 })[0].end, 10);
+});
+
+test("errorStatus: CHUNK_TOO_LARGE => 422", () => {
+  assert.equal(errorStatus({ code: "CHUNK_TOO_LARGE" }), 422);
+});
+
+test("prepareAudio: si falla la codificación libera el pin de la caché y borra los temporales", async () => {
+  writeSource("v1", new Date("2024-01-01"));
+  const before = audioTemps();
+  process.env.FAKE_FFMPEG_FAIL = "libmp3lame";
+  try {
+    await assert.rejects(prepareAudio({ source, format: "mp3" }, noop), { code: "PROCESS_FAILED" });
+  } finally {
+    delete process.env.FAKE_FFMPEG_FAIL;
+  }
+  const leftover = [...audioTemps()].filter((f) => !before.has(f));
+  assert.deepEqual(leftover, [], "ni el maestro WAV ni el mp3 parcial quedan en /tmp");
+
+  // Sin pin colgado, la versión cacheada se borra en cuanto la reemplaza una nueva
+  const cached = await fetchSource({ source });
+  cached.removeCallback();
+  writeSource("v2-changed", new Date("2024-02-01"));
+  const fresh = await fetchSource({ source });
+  fresh.removeCallback();
+  assert.equal(fs.existsSync(cached.name), false);
+});
+
+test("prepareAudio: chunks que no bajan de target_mb => CHUNK_TOO_LARGE, sin temporales", async () => {
+  const before = audioTemps();
+  process.env.FAKE_FFMPEG_BYTES = String(2 * 1024 * 1024); // cada salida ocupa 2 MB
+  try {
+    await assert.rejects(
+      prepareAudio({ source, format: "mp3", target_mb: 1, min_chunk_seconds: 30 }, noop),
+      (e) => e.code === "CHUNK_TOO_LARGE" && /exceed target_mb/.test(e.message)
+    );
+  } finally {
+    delete process.env.FAKE_FFMPEG_BYTES;
+  }
+  assert.deepEqual([...audioTemps()].filter((f) => !before.has(f)), []);
+});
+
+test("prepareAudio: archivo único cuando cabe en target_mb", async () => {
+  const audio = await prepareAudio({ source, format: "mp3" }, noop);
+  try {
+    assert.equal(audio.chunked, false);
+    assert.ok(fs.existsSync(audio.single.path));
+    assert.equal(audio.outInfo.format, "mp3");
+  } finally {
+    audio.cleanup();
+  }
+  assert.equal(fs.existsSync(audio.single.path), false);
+});
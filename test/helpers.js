@@ -0,0 +1,61 @@
+// Entorno aislado para importar server.js en los tests: storage local y caché en un dir temporal,
+// sin Supabase/S3. Cada archivo de test corre en su propio proceso (node --test).
+import fs from "fs";
+import os from "os";
+import nodePath from "path";
+import { fileURLToPath } from "url";
+
+const dir = fs.mkdtempSync(nodePath.join(os.tmpdir(), "video-svc-test-"));
+process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+
+process.env.STORAGE_DRIVER ??= "local";
+process.env.LOCAL_STORAGE_DIR ??= nodePath.join(dir, "storage");
+process.env.SOURCE_CACHE_DIR ??= nodePath.join(dir, "cache");
+delete process.env.SUPABASE_URL;
+delete process.env.S3_ENDPOINT;
+delete process.env.S3_ACCESS_KEY_ID;
+
+export const testDir = dir;
+
+// Importa server.js después de fijar el entorno (los tests pueden setear más env antes)
+export function loadServer() {
+  return import("../server.js");
+}
+
+// Levanta la app en un puerto libre; `request(method, path, { body, headers })` => { status, headers, json }
+export async function listen(app) {
+  const server = await new Promise((ok) => {
+    const s = app.listen(0, "127.0.0.1", () => ok(s));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  return {
+    base,
+    async request(method, path, { body, headers = {} } = {}) {
+      const raw = body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body);
+      const resp = await fetch(base + path, {
+        method,
+        headers: raw === undefined ? headers : { "Content-Type": "application/json", ...headers },
+        body: raw,
+      });
+      const text = await resp.text();
+      let json = null;
+      try {
+        json = JSON.parse(text);
+      } catch {
+        // texto plano
+      }
+      return { status: resp.status, headers: resp.headers, json, text };
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((ok) => server.close(ok));
+    },
+  };
+}
+
+// ffmpeg/ffprobe de prueba (test/fixtures/bin) delante en el PATH; `env` = FAKE_* que leen
+export function useFakeMediaTools(env = {}) {
+  const bin = nodePath.join(nodePath.dirname(fileURLToPath(import.meta.url)), "fixtures", "bin");
+  process.env.PATH = `${bin}${nodePath.delimiter}${process.env.PATH}`;
+  Object.assign(process.env, env);
+}
@@ -0,0 +1,62 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { loadServer, listen } from "./helpers.js";
+
+process.env.CALLBACK_SECRET = "cb-secret";
+const { app, errorStatus, signCallback, validateCallbackUrl } = await loadServer();
+
+let http;
+before(async () => {
+  http = await listen(app);
+});
+after(() => http.close());
+
+test("signCallback: HMAC-SHA256 sobre <timestamp>.<body>", () => {
+  const body = JSON.stringify({ job_id: "j1", state: "succeeded" });
+  const expected = crypto.createHmac("sha256", "cb-secret").update(`1700000000.${body}`).digest("hex");
+  assert.equal(signCallback(body, 1700000000), expected);
+});
+
+test("validateCallbackUrl: sólo http(s) hacia hosts públicos", () => {
+  assert.equal(validateCallbackUrl("https://hooks.example.com/done"), null);
+  assert.match(validateCallbackUrl("ftp://hooks.example.com/done"), /must be http\(s\)/);
+  for (const u of [
+    "http://169.254.169.254/latest/meta-data/",
+    "http://127.0.0.1:3000/echo",
+    "http://10.1.2.3/hook",
+    "http://[::1]/hook",
+    "http://[::ffff:192.168.1.1]/hook",
+  ]) {
+    assert.match(validateCallbackUrl(u), /callback_url rejected/, u);
+  }
+});
+
+test("jobRoute: callback_url interno => 400 antes de crear el job", async () => {
+  const r = await http.request("POST", "/probe", {
+    body: { video_url: "https://cdn.example.com/a.mp4", callback_url: "http://169.254.169.254/" },
+  });
+  assert.equal(r.status, 400);
+  assert.equal(r.json.ok, false);
+  assert.match(r.json.error, /callback_url rejected/);
+});
+
+test("jobRoute: errores de validación => 400 con where/reqId", async () => {
+  const r = await http.request("POST", "/probe", { body: {}, headers: { "X-Request-Id": "req-1" } });
+  assert.equal(r.status, 400);
+  assert.deepEqual(
+    { where: r.json.where, reqId: r.json.reqId },
+    { where: "probe", reqId: "req-1" }
+  );
+});
+
+test("GET /jobs/:id inexistente => 404", async () => {
+  const r = await http.request("GET", "/jobs/nope");
+  assert.equal(r.status, 404);
+});
+
+test("errorStatus: timeout 504, cancelado 499, resto 500", () => {
+  assert.equal(errorStatus({ code: "PROCESS_TIMEOUT" }), 504);
+  assert.equal(errorStatus(new Error("x"), AbortSignal.abort()), 499);
+  assert.equal(errorStatus(new Error("x")), 500);
+});
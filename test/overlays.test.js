@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+
+const { overlayImageExt } = await loadServer();
+
+test("overlayImageExt: sólo extensiones de imagen conocidas, default .png", () => {
+  assert.equal(overlayImageExt("https://cdn.example.com/logo.PNG?v=2"), ".png");
+  assert.equal(overlayImageExt("https://cdn.example.com/a/b.jpeg"), ".jpeg");
+  assert.equal(overlayImageExt("brand/logo.webp"), ".webp");
+  assert.equal(overlayImageExt("brand/logo"), ".png");
+  assert.equal(overlayImageExt("brand/logo.svg"), ".png");
+});
+
+test("overlayImageExt: nada del path del cliente llega a movie='…'", () => {
+  for (const ref of ["a.png';drawtext=text=x", "a.png:x=1", "a.png,scale=1", "a.gif;[0:v]null"]) {
+    assert.equal(overlayImageExt(ref), ".png", ref);
+  }
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+
+const { lerpExpr, validateReframe } = await loadServer();
+
+const pan = (reframe) => validateReframe({ format: "vertical_9_16", reframe: { mode: "pan", ...reframe } });
+
+test("lerpExpr: constante antes del primer key, lineal entre keys, último valor al final", () => {
+  assert.equal(lerpExpr([{ t: 2, x: 0.3 }], "x"), "if(lt(t,2),0.3,0.3)");
+  assert.equal(
+    lerpExpr([{ t: 0, x: 0.2 }, { t: 4, x: 0.6 }], "x"),
+    "if(lt(t,0),0.2,if(lt(t,4),0.2+(0.4)*(t-0)/4,0.6))"
+  );
+});
+
+test("validateReframe: pan con path y timing válidos", () => {
+  assert.equal(validateReframe({ format: "vertical_9_16" }), null);
+  assert.equal(pan({ timing: "source", path: [{ t: 10, x: 0.2 }, { t: 12.5, x: 0.8, y: 0.4 }] }), null);
+  assert.equal(pan({ path: [{ t: 0 }] }), null);
+});
+
+test("validateReframe: rechaza timing, claves y puntos inválidos", () => {
+  assert.match(pan({ timing: "absolute", path: [{ t: 0 }] }), /reframe.timing must be clip\|source/);
+  assert.match(pan({ speed: 2, path: [{ t: 0 }] }), /Unknown reframe keys: speed/);
+  assert.match(pan({ path: [] }), /non-empty array/);
+  assert.match(pan({ path: [null] }), /path items must be/);
+  assert.match(pan({ path: [{ t: "1" }] }), /path items must be/);
+  assert.match(pan({ path: [{ t: -1 }] }), /path items must be/);
+  assert.match(pan({ path: [{ t: 1, z: 0 }] }), /path items must be/);
+  assert.match(pan({ path: [{ t: 1, x: 1.5 }] }), /path items must be/);
+  assert.match(pan({ path: Array.from({ length: 201 }, (_, t) => ({ t })) }), /max 200/);
+  assert.match(validateReframe({ format: "square_1_1", reframe: { remove_bars: "yes" } }), /remove_bars/);
+  assert.match(validateReframe({ format: "square_1_1", reframe: { focus: 0.5 } }), /reframe.focus must be/);
+  assert.match(validateReframe({ format: "square_1_1", reframe: "fill" }), /must be an object/);
+});
@@ -0,0 +1,39 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import nodePath from "path";
+import { loadServer, listen, useFakeMediaTools } from "./helpers.js";
+
+useFakeMediaTools({ FAKE_DURATION: "60" });
+const { app, errorStatus, validateScenes } = await loadServer();
+
+const source = "local://videos/scenes.mp4";
+
+let http;
+before(async () => {
+  fs.mkdirSync(nodePath.join(process.env.LOCAL_STORAGE_DIR, "videos"), { recursive: true });
+  fs.writeFileSync(nodePath.join(process.env.LOCAL_STORAGE_DIR, "videos", "scenes.mp4"), "x");
+  http = await listen(app);
+});
+after(() => http.close());
+
+test("validateScenes: min_scene_seconds, keyframes y max_keyframes", () => {
+  assert.equal(validateScenes({ source, min_scene_seconds: 1, keyframes: false, max_keyframes: 500 }), null);
+  assert.match(validateScenes({ source, min_scene_seconds: -1 }), /min_scene_seconds/);
+  assert.match(validateScenes({ source, min_scene_seconds: "2" }), /min_scene_seconds/);
+  assert.match(validateScenes({ source, keyframes: "no" }), /keyframes must be a boolean/);
+  assert.match(validateScenes({ source, max_keyframes: 0 }), /max_keyframes/);
+  assert.match(validateScenes({ source, max_keyframes: 10.5 }), /max_keyframes/);
+  assert.match(validateScenes({ source, max_keyframes: 1e9 }), /max_keyframes/);
+});
+
+test("errorStatus: EMPTY_RANGE => 422", () => {
+  assert.equal(errorStatus({ code: "EMPTY_RANGE" }), 422);
+});
+
+test("/scenes con start_time más allá de la duración => 422 EMPTY_RANGE", async () => {
+  const r = await http.request("POST", "/scenes", { body: { source, start_time: 90 } });
+  assert.equal(r.status, 422);
+  assert.equal(r.json.error.code, "EMPTY_RANGE");
+  assert.match(r.json.error.message, /start_time 90 >= source duration 60/);
+});
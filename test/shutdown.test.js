@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import fs from "fs";
+import net from "net";
+import nodePath from "path";
+import { fileURLToPath } from "url";
+import { testDir, useFakeMediaTools } from "./helpers.js";
+
+// Apagado real: server.js como proceso hijo, con un ffmpeg de prueba que no termina solo
+useFakeMediaTools();
+const serverFile = nodePath.join(nodePath.dirname(fileURLToPath(import.meta.url)), "..", "server.js");
+const checkpointFile = nodePath.join(testDir, "checkpoint.json");
+
+const freePort = () =>
+  new Promise((ok) => {
+    const s = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = s.address();
+      s.close(() => ok(port));
+    });
+  });
+
+async function waitFor(check, ms = 10000) {
+  const until = Date.now() + ms;
+  for (;;) {
+    const v = await check().catch(() => null);
+    if (v) return v;
+    if (Date.now() > until) throw new Error("timeout");
+    await new Promise((ok) => setTimeout(ok, 100));
+  }
+}
+
+test("SIGTERM: cierra el listener, 503 con Retry-After del pool, job async interrupted + checkpoint", async () => {
+  fs.mkdirSync(nodePath.join(process.env.LOCAL_STORAGE_DIR, "videos"), { recursive: true });
+  fs.writeFileSync(nodePath.join(process.env.LOCAL_STORAGE_DIR, "videos", "long.mp4"), "x");
+  const port = await freePort();
+  const base = `http://127.0.0.1:${port}`;
+  const child = spawn(process.execPath, [serverFile], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      FAKE_FFMPEG_SLEEP: "60",
+      SHUTDOWN_GRACE_MS: "300",
+      JOBS_CHECKPOINT_FILE: checkpointFile,
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  let out = "";
+  child.stdout.on("data", (d) => (out += d));
+  child.stderr.on("data", (d) => (out += d));
+  const exited = new Promise((ok) => child.on("exit", (code) => ok(code)));
+
+  try {
+    await waitFor(async () => (await fetch(`${base}/jobs/nope`)).status === 404);
+    const body = { source: "local://videos/long.mp4", format: "mp3" };
+    const post = (extra) =>
+      fetch(`${base}/extract-audio`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...body, ...extra }),
+      });
+
+    const { job_id } = await (await post({ async: true })).json();
+    const sync = post({});
+    const stage = async () => (await (await fetch(`${base}/jobs/${job_id}`)).json()).job.progress.stage;
+    await waitFor(async () => (await stage()) === "extracting"); // ffmpeg corriendo
+    const events = fetch(`${base}/jobs/${job_id}/events`).then((r) => r.text());
+    await new Promise((ok) => setTimeout(ok, 300)); // que el síncrono también llegue a ffmpeg
+
+    child.kill("SIGTERM");
+    const resp = await sync;
+    assert.equal(resp.status, 503);
+    assert.equal(resp.headers.get("retry-after"), "5", "max(5, SHUTDOWN_GRACE_MS) y no un 30 fijo");
+
+    assert.match(await events, /"state":"interrupted","status":503/);
+    await assert.rejects(fetch(`${base}/jobs/${job_id}`), "el listener ya no acepta conexiones");
+
+    assert.equal(await exited, 0);
+    const saved = JSON.parse(fs.readFileSync(checkpointFile, "utf8"));
+    assert.deepEqual(saved.map((j) => j.id), [job_id]);
+    assert.match(out, /CANCELLED/);
+    assert.doesNotMatch(out, /\bERR\b|at .*server\.js:\d+/, "la cancelación se loguea sin stack");
+  } finally {
+    if (child.exitCode === null) child.kill("SIGKILL");
+  }
+});
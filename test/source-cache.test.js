@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import nodePath from "path";
+import { loadServer } from "./helpers.js";
+
+const { cacheKeyForUrl, fetchSource } = await loadServer();
+
+const srcDir = nodePath.join(process.env.LOCAL_STORAGE_DIR, "videos");
+const srcFile = nodePath.join(srcDir, "in.mp4");
+const source = "local://videos/in.mp4";
+
+function writeSource(content, mtime) {
+  fs.mkdirSync(srcDir, { recursive: true });
+  fs.writeFileSync(srcFile, content);
+  fs.utimesSync(srcFile, mtime, mtime);
+}
+
+test("cacheKeyForUrl: quita parámetros de firma y el hash", () => {
+  assert.equal(
+    cacheKeyForUrl("https://cdn.example.com/v/a.mp4?X-Amz-Signature=abc&X-Amz-Expires=60&v=2#t=3"),
+    "https://cdn.example.com/v/a.mp4?v=2"
+  );
+  assert.equal(
+    cacheKeyForUrl("https://cdn.example.com/a.mp4?token=1"),
+    cacheKeyForUrl("https://cdn.example.com/a.mp4?token=2")
+  );
+});
+
+test("fetchSource: miss, luego hit sobre el mismo archivo", async () => {
+  writeSource("version-0", new Date("2024-01-01"));
+  const a = await fetchSource({ source });
+  assert.equal(a.cache, "miss");
+  const b = await fetchSource({ source });
+  assert.equal(b.cache, "hit");
+  assert.equal(b.name, a.name);
+  a.removeCallback();
+  b.removeCallback();
+  assert.ok(fs.existsSync(a.name), "la entrada sigue en caché tras liberar los pins");
+});
+
+test("fetchSource: una versión nueva no pisa el archivo que otro request tiene en uso", async () => {
+  writeSource("version-1", new Date("2024-02-01"));
+  const old = await fetchSource({ source });
+  assert.equal(fs.readFileSync(old.name, "utf8"), "version-1");
+
+  writeSource("version-2 (más larga)", new Date("2024-03-01"));
+  const fresh = await fetchSource({ source });
+  assert.equal(fresh.cache, "miss");
+  assert.notEqual(fresh.name, old.name);
+  assert.equal(fs.readFileSync(old.name, "utf8"), "version-1", "la versión pinneada queda intacta");
+  assert.equal(fs.readFileSync(fresh.name, "utf8"), "version-2 (más larga)");
+
+  old.removeCallback();
+  assert.equal(fs.existsSync(old.name), false, "la versión retirada se borra al soltar el último pin");
+  assert.ok(fs.existsSync(fresh.name));
+  fresh.removeCallback();
+});
+
+test("fetchSource: versión reemplazada sin pins se borra en el momento", async () => {
+  writeSource("version-3", new Date("2024-04-01"));
+  const a = await fetchSource({ source });
+  a.removeCallback();
+  writeSource("version-4!", new Date("2024-05-01"));
+  const b = await fetchSource({ source });
+  assert.equal(fs.existsSync(a.name), false);
+  b.removeCallback();
+});
+
+test("fetchSource: cache:false descarga a un tmp propio", async () => {
+  const f = await fetchSource({ source }, ".mp4", false);
+  assert.equal(f.cache, "bypass");
+  assert.ok(!f.name.startsWith(process.env.SOURCE_CACHE_DIR));
+  f.removeCallback();
+});
@@ -0,0 +1,64 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+
+const { checkSourceUrl, errorStatus, isPrivateAddress } = await loadServer();
+
+test("isPrivateAddress: loopback, privadas, link-local, CGNAT y sus formas IPv6", () => {
+  for (const ip of [
+    "127.0.0.1",
+    "10.20.30.40",
+    "172.31.255.255",
+    "192.168.0.10",
+    "169.254.169.254",
+    "100.64.0.1",
+    "0.0.0.0",
+    "224.0.0.251",
+    "::1",
+    "::",
+    "fd00::1",
+    "fe80::1",
+    "::ffff:127.0.0.1",
+    "::ffff:7f00:1",
+    "64:ff9b::a9fe:a9fe",
+  ]) {
+    assert.equal(isPrivateAddress(ip), true, ip);
+  }
+  for (const ip of ["8.8.8.8", "172.32.0.1", "100.128.0.1", "2606:4700::1111", "::ffff:8.8.8.8"]) {
+    assert.equal(isPrivateAddress(ip), false, ip);
+  }
+});
+
+test("checkSourceUrl: esquema http(s) y URL válida", () => {
+  assert.equal(checkSourceUrl("https://cdn.example.com/a.mp4").hostname, "cdn.example.com");
+  assert.throws(() => checkSourceUrl("not a url"), { code: "SOURCE_URL_INVALID" });
+  assert.throws(() => checkSourceUrl("file:///etc/passwd"), { code: "SOURCE_URL_INVALID" });
+  assert.throws(() => checkSourceUrl("gopher://example.com/"), { code: "SOURCE_URL_INVALID" });
+});
+
+test("checkSourceUrl: IPs literales internas, también en notaciones alternativas", () => {
+  for (const u of [
+    "http://169.254.169.254/latest/meta-data/",
+    "http://127.1/",
+    "http://2130706433/",
+    "http://0x7f.0.0.1/",
+    "http://[::1]:8080/",
+    "http://[::ffff:10.0.0.1]/",
+  ]) {
+    assert.throws(() => checkSourceUrl(u), { name: "SourceError", code: "SOURCE_PRIVATE_ADDRESS" }, u);
+  }
+  assert.equal(errorStatus({ name: "SourceError", code: "SOURCE_PRIVATE_ADDRESS" }), 422);
+});
+
+test("checkSourceUrl: allow-list exacta y con comodín", () => {
+  const allow = ["media.example.com", "*.cdn.example.net"];
+  assert.ok(checkSourceUrl("https://media.example.com/a.mp4", allow));
+  assert.ok(checkSourceUrl("https://eu.cdn.example.net/a.mp4", allow));
+  for (const u of [
+    "https://example.com/a.mp4",
+    "https://cdn.example.net.evil.io/a.mp4",
+    "https://evilcdn.example.net/",
+  ]) {
+    assert.throws(() => checkSourceUrl(u, allow), { code: "SOURCE_HOST_NOT_ALLOWED" }, u);
+  }
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+
+const { speechCleanupFilters, toOriginalTime, validateCleanup, validateRemoveSilence } = await loadServer();
+
+test("validateCleanup: boolean u objeto con rangos", () => {
+  for (const ok of [undefined, null, true, false, {}, { bandpass: { low: 100, high: 6000 }, denoise: 20 }]) {
+    assert.equal(validateCleanup(ok), null, JSON.stringify(ok));
+  }
+  assert.match(validateCleanup("yes"), /cleanup must be boolean/);
+  assert.match(validateCleanup({ bandpass: { low: 5 } }), /cleanup.bandpass/);
+  assert.match(validateCleanup({ bandpass: { high: 30000 } }), /cleanup.bandpass/);
+  assert.match(validateCleanup({ bandpass: "80-7600" }), /cleanup.bandpass/);
+  assert.match(validateCleanup({ denoise: 0 }), /cleanup.denoise/);
+  assert.match(validateCleanup({ denoise: "12" }), /cleanup.denoise/);
+  assert.match(validateCleanup({ normalize: 1 }), /cleanup.normalize/);
+});
+
+test("speechCleanupFilters: defaults, overrides y lowpass bajo Nyquist", () => {
+  assert.deepEqual(speechCleanupFilters(false, 16000), []);
+  assert.deepEqual(speechCleanupFilters(true, 16000), [
+    "highpass=f=80",
+    "lowpass=f=7600",
+    "afftdn=nr=12:nf=-50",
+    "dynaudnorm=f=150:g=15",
+  ]);
+  // A 8 kHz el lowpass queda por debajo de 4 kHz (0.475 * 8000)
+  assert.deepEqual(speechCleanupFilters({ denoise: 25, normalize: false }, 8000), [
+    "highpass=f=80",
+    "lowpass=f=3800",
+    "afftdn=nr=25:nf=-50",
+  ]);
+  assert.deepEqual(speechCleanupFilters({ bandpass: { low: 200, high: 3000 }, denoise: false }, 48000), [
+    "highpass=f=200",
+    "lowpass=f=3000",
+    "dynaudnorm=f=150:g=15",
+  ]);
+});
+
+test("validateRemoveSilence: rangos y keep_seconds < min_seconds / 2", () => {
+  assert.equal(validateRemoveSilence(true), null);
+  assert.equal(validateRemoveSilence({ min_seconds: 2, silence_db: -50, keep_seconds: 0.5 }), null);
+  assert.match(validateRemoveSilence(1), /remove_silence must be boolean/);
+  assert.match(validateRemoveSilence({ min_seconds: 0.1 }), /min_seconds/);
+  assert.match(validateRemoveSilence({ silence_db: 10 }), /silence_db/);
+  assert.match(validateRemoveSilence({ keep_seconds: 6 }), /keep_seconds must be between/);
+  // Con el default min_seconds = 1, keep_seconds 0.5 ya se come todo el silencio
+  assert.match(validateRemoveSilence({ keep_seconds: 0.5 }), /keep_seconds must be < min_seconds \/ 2/);
+});
+
+test("toOriginalTime: vuelve del audio procesado al timeline de la fuente", () => {
+  const timeMap = {
+    segments: [
+      { processed_start: 0, processed_end: 10, original_start: 0, original_end: 10 },
+      { processed_start: 10, processed_end: 15, original_start: 14, original_end: 19 },
+      { processed_start: 15, processed_end: 20.5, original_start: 25.25, original_end: 30.75 },
+    ],
+  };
+  assert.equal(toOriginalTime(null, 12.5), 12.5);
+  assert.equal(toOriginalTime({ segments: [] }, 3), 3);
+  assert.equal(toOriginalTime(timeMap, 4), 4);
+  assert.equal(toOriginalTime(timeMap, 10), 14, "el borde pertenece al tramo que empieza ahí");
+  assert.equal(toOriginalTime(timeMap, 12.3456), 16.346);
+  assert.equal(toOriginalTime(timeMap, 16), 26.25);
+  assert.equal(toOriginalTime(timeMap, 22), 32.25, "más allá del final extrapola desde el último tramo");
+});
@@ -0,0 +1,46 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import nodePath from "path";
+import { loadServer, listen } from "./helpers.js";
+
+const { app, errorStatus, localFilePath, parseSource } = await loadServer();
+
+let http;
+before(async () => {
+  http = await listen(app);
+});
+after(() => http.close());
+
+test("parseSource: objeto, string con driver y driver por defecto", () => {
+  assert.deepEqual(parseSource({ bucket: "videos", path: "in/a.mp4" }), {
+    driver: "local",
+    bucket: "videos",
+    path: "in/a.mp4",
+  });
+  assert.deepEqual(parseSource("s3://media/clips/x.mp4"), { driver: "s3", bucket: "media", path: "clips/x.mp4" });
+  assert.equal(parseSource({ bucket: "videos" }), null);
+});
+
+test("localFilePath: no sale de LOCAL_STORAGE_DIR", () => {
+  const full = localFilePath("videos", "in/a.mp4");
+  assert.equal(full, nodePath.resolve(process.env.LOCAL_STORAGE_DIR, "videos/in/a.mp4"));
+  assert.throws(() => localFilePath("videos", "../../etc/passwd"), { code: "LOCAL_INVALID_PATH" });
+  assert.throws(() => localFilePath("..", "x"), { code: "LOCAL_INVALID_PATH" });
+});
+
+test("errorStatus: path inválido 400, archivo inexistente 404", () => {
+  assert.equal(errorStatus({ code: "LOCAL_INVALID_PATH" }), 400);
+  for (const code of ["LOCAL_FILE_NOT_FOUND", "SB_FILE_NOT_FOUND", "S3_FILE_NOT_FOUND"]) {
+    assert.equal(errorStatus({ code }), 404, code);
+  }
+});
+
+test("/probe con source fuera del storage => 400; inexistente => 404", async () => {
+  const bad = await http.request("POST", "/probe", { body: { source: "local://videos/../../../etc/passwd" } });
+  assert.equal(bad.status, 400);
+  assert.equal(bad.json.error.code, "LOCAL_INVALID_PATH");
+
+  const missing = await http.request("POST", "/probe", { body: { source: "local://videos/nope.mp4" } });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.json.error.code, "LOCAL_FILE_NOT_FOUND");
+});
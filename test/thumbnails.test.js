@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+
+const { validateThumbnails } = await loadServer();
+
+test("validateThumbnails: sprite.columns y sprite.max_frames enteros", () => {
+  assert.equal(validateThumbnails({ sprite: { columns: 5, max_frames: 100, interval_seconds: 2.5 } }), null);
+  assert.equal(validateThumbnails({ sprite: true }), null);
+  assert.match(validateThumbnails({ sprite: { columns: 2.5 } }), /columns must be an integer in \[1, 20\]/);
+  assert.match(validateThumbnails({ sprite: { columns: 21 } }), /columns/);
+  assert.match(validateThumbnails({ sprite: { max_frames: 10.5 } }), /max_frames must be an integer/);
+  assert.match(validateThumbnails({ sprite: { max_frames: 0 } }), /max_frames/);
+});
+
+test("validateThumbnails: stills.count entero y width en rango", () => {
+  assert.match(validateThumbnails({ stills: { count: 1.5 } }), /stills.count/);
+  assert.match(validateThumbnails({ best: { width: 16 } }), /best.width/);
+});
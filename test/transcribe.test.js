@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadServer } from "./helpers.js";
+
+const { fmtTimestamp, segmentsToSrt, segmentsToVtt, stitchTranscripts } = await loadServer();
+
+test("fmtTimestamp: SRT con coma, VTT con punto, redondeo a ms", () => {
+  assert.equal(fmtTimestamp(3725.5), "01:02:05,500");
+  assert.equal(fmtTimestamp(0.0004, "."), "00:00:00.000");
+  assert.equal(fmtTimestamp(59.9996), "00:01:00,000");
+  assert.equal(fmtTimestamp(-3), "00:00:00,000");
+});
+
+test("segmentsToSrt / segmentsToVtt", () => {
+  const segs = [
+    { start: 0, end: 1.5, text: "Hola" },
+    { start: 2, end: 3.25, text: "mundo" },
+  ];
+  assert.equal(
+    segmentsToSrt(segs),
+    "1\n00:00:00,000 --> 00:00:01,500\nHola\n\n2\n00:00:02,000 --> 00:00:03,250\nmundo\n"
+  );
+  assert.equal(
+    segmentsToVtt(segs),
+    "WEBVTT\n\n00:00:00.000 --> 00:00:01.500\nHola\n\n00:00:02.000 --> 00:00:03.250\nmundo\n"
+  );
+});
+
+test("stitchTranscripts: desplaza al timeline global y corta el solape en su punto medio", () => {
+  // Chunks [0, 10] y [8, 18]: solape [8, 10], límite en 9
+  const chunks = [
+    {
+      start: 0,
+      end: 10,
+      data: {
+        segments: [
+          { start: 0, end: 4, text: " uno " },
+          { start: 7.5, end: 9.9, text: "dos" }, // centro 8.7 < 9: se queda aquí
+        ],
+        words: [{ start: 7.6, end: 8, word: " dos" }],
+      },
+    },
+    {
+      start: 8,
+      end: 18,
+      data: {
+        segments: [
+          { start: 0, end: 1.9, text: "dos" }, // centro 8.95 < 9: duplicado, se descarta
+          { start: 2, end: 6, text: "tres" },
+        ],
+        words: [
+          { start: 0, end: 0.4, word: "dos" },
+          { start: 2, end: 2.5, word: "tres" },
+        ],
+      },
+    },
+  ];
+  const { segments, words } = stitchTranscripts(chunks);
+  assert.deepEqual(segments, [
+    { start: 0, end: 4, text: "uno", index: 0 },
+    { start: 7.5, end: 9.9, text: "dos", index: 1 },
+    { start: 10, end: 14, text: "tres", index: 2 },
+  ]);
+  assert.deepEqual(words, [
+    { start: 7.6, end: 8, word: "dos" },
+    { start: 10, end: 10.5, word: "tres" },
+  ]);
+});
+
+test("stitchTranscripts: sin segments usa el texto del chunk y descarta los vacíos", () => {
+  const { segments } = stitchTranscripts([
+    { start: 0, end: 5, data: { text: "sólo texto" } },
+    { start: 5, end: 9, data: { segments: [{ start: 0, end: 1, text: "  " }] } },
+  ]);
+  assert.deepEqual(segments, [{ start: 0, end: 5, text: "sólo texto", index: 0 }]);
+});